@@ -0,0 +1,119 @@
+// Activity profiles ("good for tide-pooling": sea level below 0.3 m and waves
+// under 1 m, in daylight) and the upcoming time windows where a forecast meets
+// them. Pure functions, no DOM; profiles are stored in settings.activityProfiles
+import { interpolateSeries } from './spline.js';
+import { getConditionsAt } from './conditions.js';
+import { isDaylight } from './sun.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Variables a rule can test. kind says how the value is shown and converted
+// ('height' follows the height unit setting); scale is the margin that counts
+// as comfortably inside a threshold when scoring
+export const ACTIVITY_VARIABLES = [
+  { id: 'sea_level', label: 'Sea level', kind: 'height', scale: 0.5 },
+  { id: 'wave_height', label: 'Wave height', kind: 'height', scale: 0.5 },
+  { id: 'swell_wave_height', label: 'Swell height', kind: 'height', scale: 0.5 },
+  { id: 'wind_wave_height', label: 'Wind-wave height', kind: 'height', scale: 0.3 },
+  { id: 'wave_period', label: 'Wave period', kind: 'seconds', scale: 3 },
+  { id: 'sea_surface_temperature', label: 'Sea temperature', kind: 'temperature', scale: 3 },
+  { id: 'hours_from_low', label: 'Hours from low tide', kind: 'hours', scale: 1 },
+  { id: 'hours_from_high', label: 'Hours from high tide', kind: 'hours', scale: 1 }
+];
+
+export const ACTIVITY_OPERATORS = [
+  { id: 'below', label: 'below' },
+  { id: 'above', label: 'above' }
+];
+
+export function createActivityProfile(name) {
+  return {
+    id: crypto.randomUUID(),
+    name: name,
+    rules: [],            // [{ variable, operator, value }], values in metres / s / °C / hours
+    daylightOnly: false
+  };
+}
+
+export function createActivityRule(variable = 'sea_level', operator = 'below', value = 0) {
+  return { variable, operator, value };
+}
+
+// Value of a rule variable at timeMs, or null when the forecast doesn't cover it
+function variableValue(variable, timeMs, forecast, tides) {
+  if (variable === 'sea_level') {
+    const level = interpolateSeries(forecast.hourly, timeMs);
+    return level ? level.height : null;
+  }
+
+  if (variable === 'hours_from_low' || variable === 'hours_from_high') {
+    const type = variable === 'hours_from_low' ? 'LOW' : 'HIGH';
+    const distances = tides.filter(t => t.type === type).map(t => Math.abs(t.timeMs - timeMs));
+    return distances.length > 0 ? Math.min(...distances) / HOUR_MS : null;
+  }
+
+  const conditions = getConditionsAt(forecast.conditions, timeMs);
+  if (!conditions) return null;
+  if (variable === 'sea_surface_temperature') return conditions.seaTemperature;
+
+  const component = { wave_height: 'wave', wave_period: 'wave', swell_wave_height: 'swell', wind_wave_height: 'windWave' }[variable];
+  const field = variable === 'wave_period' ? 'period' : 'height';
+  return component ? conditions.components[component][field] : null;
+}
+
+// 0–1 score for one rule at one moment: 0 when it fails, 0.5 right at the
+// threshold, approaching 1 as the margin reaches the variable's scale
+function ruleScore(rule, value) {
+  if (value == null) return 0;
+
+  const margin = rule.operator === 'below' ? rule.value - value : value - rule.value;
+  if (margin < 0) return 0;
+
+  const definition = ACTIVITY_VARIABLES.find(v => v.id === rule.variable);
+  const scale = definition ? definition.scale : 1;
+  return 0.5 + 0.5 * Math.min(margin / scale, 1);
+}
+
+// Upcoming windows where every rule of the profile holds, sampled every
+// stepMinutes from now to the end of the forecast:
+// [{ start, end (ms), score (0–100, how comfortably the rules are met) }].
+// A window still open at now starts at now
+export function findActivityWindows(profile, forecast, tides, location, { now = new Date(), stepMinutes = 15 } = {}) {
+  const times = forecast.hourly.time;
+  if (!times || times.length === 0) return [];
+
+  const stepMs = stepMinutes * 60 * 1000;
+  const endMs = new Date(times[times.length - 1]).getTime();
+  const windows = [];
+  let open = null;
+
+  for (let timeMs = now.getTime(); timeMs <= endMs; timeMs += stepMs) {
+    let score = null;
+
+    const inDaylight = !profile.daylightOnly || isDaylight(timeMs, location.latitude, location.longitude);
+    if (inDaylight) {
+      const scores = profile.rules.map(rule => ruleScore(rule, variableValue(rule.variable, timeMs, forecast, tides)));
+      if (scores.every(s => s > 0)) {
+        score = scores.length > 0 ? scores.reduce((sum, s) => sum + s, 0) / scores.length : 1;
+      }
+    }
+
+    if (score !== null) {
+      if (!open) {
+        open = { start: timeMs, end: timeMs, scores: [] };
+      }
+      open.end = timeMs;
+      open.scores.push(score);
+    } else if (open) {
+      windows.push(open);
+      open = null;
+    }
+  }
+  if (open) windows.push(open);
+
+  return windows.map(run => ({
+    start: run.start,
+    end: run.end,
+    score: Math.round(100 * run.scores.reduce((sum, s) => sum + s, 0) / run.scores.length)
+  }));
+}
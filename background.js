@@ -0,0 +1,212 @@
+// Background service worker: keeps the marine forecast fresh, alerts ahead
+// of the next HIGH or LOW tide for the selected location and keeps the
+// toolbar badge showing the state of the tide
+import { analyzeForecast, getNextTides, getCurrentLevel } from './tides.js';
+import { getSelectedLocation } from './locations.js';
+import { fetchForecast } from './providers/index.js';
+import { loadSettings, getHour12 } from './settings.js';
+import { saveCachedForecast, loadCachedForecast } from './cache.js';
+import { createTimeFormatter } from './time-format.js';
+import { formatHeight } from './units.js';
+import { setDiagnosticsEnabled } from './diagnostics.js';
+
+const REFRESH_ALARM = 'refresh-forecast';
+const TIDE_ALERT_ALARM = 'tide-alert';
+const BADGE_ALARM = 'update-badge';
+const REFRESH_INTERVAL_MINUTES = 60;
+const BADGE_INTERVAL_MINUTES = 1;
+
+// Badge colours match the high / low tide cards in the popup
+const BADGE_COLORS = {
+  HIGH: '#FB923C',
+  LOW: '#5B21B6'
+};
+
+// Forecast refreshes shift event times by a few minutes; treat anything this
+// close to the last alerted tide as the same event
+const ALERT_DEDUPE_WINDOW_MS = 60 * 60 * 1000;
+
+chrome.runtime.onInstalled.addListener(() => {
+  scheduleRefresh();
+  refreshForecast();
+});
+
+chrome.runtime.onStartup.addListener(() => {
+  scheduleRefresh();
+  refreshForecast();
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === REFRESH_ALARM) {
+    refreshForecast();
+  } else if (alarm.name === TIDE_ALERT_ALARM) {
+    sendTideAlert();
+  } else if (alarm.name === BADGE_ALARM) {
+    updateBadge();
+  }
+});
+
+// Reschedule when the selected location or the alert settings change
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'sync') return;
+
+  const relevantKeys = ['locations', 'selectedLocationId', 'notificationsEnabled', 'notificationLeadMinutes', 'providerApiKeys', 'forecastDays'];
+  if (relevantKeys.some(key => key in changes)) {
+    refreshForecast();
+  } else if (['heightUnit', 'clockFormat', 'useLocationTimezone', 'extractionMethod'].some(key => key in changes)) {
+    updateBadge();
+  }
+});
+
+function scheduleRefresh() {
+  chrome.alarms.create(REFRESH_ALARM, { periodInMinutes: REFRESH_INTERVAL_MINUTES });
+  chrome.alarms.create(BADGE_ALARM, { periodInMinutes: BADGE_INTERVAL_MINUTES });
+}
+
+// Fetch the forecast for the selected location, keep it for offline use
+// and schedule the next alert
+async function refreshForecast() {
+  await chrome.alarms.clear(TIDE_ALERT_ALARM);
+
+  const settings = await loadSettings();
+  setDiagnosticsEnabled(settings.diagnostics);
+
+  const location = await getSelectedLocation();
+  if (!location) {
+    await clearBadge();
+    return;
+  }
+
+  try {
+    const data = await fetchForecast(location, settings);
+    await saveCachedForecast(location, data);
+
+    if (settings.notificationsEnabled && data.hourly && data.hourly.time && data.hourly.sea_level_height_msl) {
+      const { tides } = analyzeForecast(data, { method: settings.extractionMethod });
+      await scheduleTideAlert(tides, location, settings.notificationLeadMinutes, location.timezone || data.timezone);
+    }
+  } catch (error) {
+    console.error('Background forecast refresh failed:', error);
+  }
+
+  await updateBadge();
+}
+
+// Toolbar badge: an arrow for rising / falling and the time to the next
+// extreme ("↑45m", "↓3h"), coloured for the tide it is heading to, with the
+// next HIGH and LOW in the tooltip. Works from the cached forecast, so it
+// keeps ticking between refreshes and while offline
+async function updateBadge() {
+  const location = await getSelectedLocation();
+  const cached = location ? await loadCachedForecast(location) : null;
+  if (!cached || !cached.data.hourly || !cached.data.hourly.sea_level_height_msl) {
+    await clearBadge();
+    return;
+  }
+
+  const settings = await loadSettings();
+  const now = new Date();
+  const { tides } = analyzeForecast(cached.data, { method: settings.extractionMethod });
+  const { nextHigh, nextLow } = getNextTides(tides, now);
+  const nextTide = [nextHigh, nextLow].filter(Boolean).sort((a, b) => a.timeMs - b.timeMs)[0];
+  if (!nextTide) {
+    await clearBadge();
+    return;
+  }
+
+  const current = getCurrentLevel(cached.data.hourly, tides, now);
+  const rising = current ? current.rate > 0 : nextTide.type === 'HIGH';
+  const minutesUntil = Math.max(0, Math.round((nextTide.timeMs - now.getTime()) / (60 * 1000)));
+
+  await chrome.action.setBadgeText({ text: formatBadgeText(rising, minutesUntil) });
+  await chrome.action.setBadgeBackgroundColor({ color: BADGE_COLORS[nextTide.type] });
+  if (chrome.action.setBadgeTextColor) {
+    await chrome.action.setBadgeTextColor({ color: '#FFFFFF' });
+  }
+
+  const timeFormat = createTimeFormatter({
+    timeZone: settings.useLocationTimezone ? location.timezone || cached.data.timezone || undefined : undefined,
+    hour12: getHour12(settings.clockFormat)
+  });
+  const lines = [`${location.name || 'Quick Tide Checker'}: ${rising ? 'rising' : 'falling'}`];
+  if (nextHigh) {
+    lines.push(`Next high: ${timeFormat.weekdayTime(new Date(nextHigh.time))} (${formatHeight(nextHigh.height, settings.heightUnit)})`);
+  }
+  if (nextLow) {
+    lines.push(`Next low: ${timeFormat.weekdayTime(new Date(nextLow.time))} (${formatHeight(nextLow.height, settings.heightUnit)})`);
+  }
+  await chrome.action.setTitle({ title: lines.join('\n') });
+}
+
+// At most four characters fit on the badge
+function formatBadgeText(rising, minutesUntil) {
+  const arrow = rising ? '↑' : '↓';
+  if (minutesUntil < 100) return `${arrow}${minutesUntil}m`;
+  return `${arrow}${Math.round(minutesUntil / 60)}h`;
+}
+
+async function clearBadge() {
+  await chrome.action.setBadgeText({ text: '' });
+  await chrome.action.setTitle({ title: '' });
+}
+
+async function scheduleTideAlert(tides, location, leadMinutes, timezone) {
+  const now = new Date();
+  const leadMs = leadMinutes * 60 * 1000;
+  const { alertedTideTime } = await chrome.storage.local.get('alertedTideTime');
+
+  // Earliest upcoming extreme that has not been alerted yet
+  const { nextHigh, nextLow } = getNextTides(tides, now);
+  const nextTide = [nextHigh, nextLow]
+    .filter(t => t && !wasAlerted(t, alertedTideTime))
+    .sort((a, b) => a.timeMs - b.timeMs)[0];
+
+  if (!nextTide) return;
+
+  // Alarms in the past fire immediately, which covers opening inside the lead window
+  const when = Math.max(nextTide.timeMs - leadMs, Date.now());
+
+  await chrome.storage.local.set({
+    pendingTideAlert: {
+      type: nextTide.type,
+      time: nextTide.time,
+      height: nextTide.height,
+      locationName: location.name,
+      timezone: timezone || null
+    }
+  });
+  chrome.alarms.create(TIDE_ALERT_ALARM, { when });
+}
+
+function wasAlerted(tide, alertedTideTime) {
+  if (!alertedTideTime) return false;
+  return Math.abs(tide.timeMs - new Date(alertedTideTime).getTime()) < ALERT_DEDUPE_WINDOW_MS;
+}
+
+async function sendTideAlert() {
+  const { pendingTideAlert } = await chrome.storage.local.get('pendingTideAlert');
+  if (!pendingTideAlert) return;
+
+  const tideTime = new Date(pendingTideAlert.time);
+  const minutesUntil = Math.max(0, Math.round((tideTime - new Date()) / (60 * 1000)));
+  const settings = await loadSettings();
+  const timeFormat = createTimeFormatter({
+    timeZone: settings.useLocationTimezone && pendingTideAlert.timezone ? pendingTideAlert.timezone : undefined,
+    hour12: getHour12(settings.clockFormat)
+  });
+  const formattedTime = timeFormat.time(tideTime, { withZone: true });
+  const tideType = pendingTideAlert.type === 'HIGH' ? 'High' : 'Low';
+
+  chrome.notifications.create(`tide-${pendingTideAlert.time}`, {
+    type: 'basic',
+    iconUrl: 'icons/icon128.png',
+    title: `${tideType} tide in ${minutesUntil} min`,
+    message: `${pendingTideAlert.locationName || 'Your location'}: ${tideType.toLowerCase()} tide at ${formattedTime} (${formatHeight(pendingTideAlert.height, settings.heightUnit)})`
+  });
+
+  await chrome.storage.local.set({ alertedTideTime: pendingTideAlert.time });
+  await chrome.storage.local.remove('pendingTideAlert');
+
+  // Schedule the following extreme
+  refreshForecast();
+}
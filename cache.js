@@ -0,0 +1,57 @@
+// Last successful forecast per location, kept in chrome.storage.local for offline use,
+// along with the harmonic constituents fitted to it
+import { fitHarmonicModel } from './harmonics.js';
+
+function cacheKey(locationId) {
+  return `forecast:${locationId}`;
+}
+
+function modelKey(locationId) {
+  return `harmonics:${locationId}`;
+}
+
+export async function saveCachedForecast(location, data) {
+  const entries = {
+    [cacheKey(location.id)]: {
+      provider: location.provider,
+      fetchedAt: Date.now(),
+      data: data
+    }
+  };
+
+  // Refit the offline model from downloaded data only, never from its own predictions
+  if (location.provider !== 'harmonic' && data.hourly) {
+    const model = fitHarmonicModel(data.hourly);
+    if (model) {
+      entries[modelKey(location.id)] = { ...model, fittedAt: Date.now() };
+    }
+  }
+
+  await chrome.storage.local.set(entries);
+}
+
+// Return { fetchedAt, data } for the location, or null when there is no cached
+// forecast from its current provider or the cached window has run out
+export async function loadCachedForecast(location, now = new Date()) {
+  const key = cacheKey(location.id);
+  const stored = await chrome.storage.local.get(key);
+  const entry = stored[key];
+
+  if (!entry || entry.provider !== location.provider) return null;
+
+  const times = entry.data.hourly && entry.data.hourly.time;
+  if (!times || times.length === 0 || new Date(times[times.length - 1]) <= now) return null;
+
+  return { fetchedAt: entry.fetchedAt, data: entry.data };
+}
+
+// Constituents fitted to the location's last downloaded forecast, or null
+export async function loadHarmonicModel(locationId) {
+  const key = modelKey(locationId);
+  const stored = await chrome.storage.local.get(key);
+  return stored[key] || null;
+}
+
+export async function removeCachedForecast(locationId) {
+  await chrome.storage.local.remove([cacheKey(locationId), modelKey(locationId)]);
+}
@@ -0,0 +1,76 @@
+// Marine data coverage checks against the Open-Meteo Marine API: whether a
+// point has modelled sea level (inland points don't), and the nearest point
+// that does for positions inland
+import { compassPoint } from './conditions.js';
+import { fetchJson, NetworkError, RequestCancelledError } from './http.js';
+
+const EARTH_RADIUS_KM = 6371;
+const DEG = Math.PI / 180;
+
+// Rings searched outwards for the nearest coastal point, and bearings per ring
+const SEARCH_RADII_KM = [5, 10, 20, 40, 80];
+const SEARCH_BEARINGS = [0, 45, 90, 135, 180, 225, 270, 315];
+
+// Point distanceKm from lat/lon along bearingDegrees (great circle)
+export function destinationPoint(lat, lon, distanceKm, bearingDegrees) {
+  const angular = distanceKm / EARTH_RADIUS_KM;
+  const bearing = bearingDegrees * DEG;
+  const lat1 = lat * DEG;
+  const lon1 = lon * DEG;
+
+  const lat2 = Math.asin(Math.sin(lat1) * Math.cos(angular) + Math.cos(lat1) * Math.sin(angular) * Math.cos(bearing));
+  const lon2 = lon1 + Math.atan2(
+    Math.sin(bearing) * Math.sin(angular) * Math.cos(lat1),
+    Math.cos(angular) - Math.sin(lat1) * Math.sin(lat2)
+  );
+
+  return {
+    latitude: lat2 / DEG,
+    longitude: ((lon2 / DEG + 540) % 360) - 180
+  };
+}
+
+// Whether the marine API has sea-level data at lat/lon. Failed checks count as
+// no, except that an unreachable service throws NetworkError and cancelling via
+// signal throws RequestCancelledError
+export async function hasSeaLevelData(lat, lon, { signal = null } = {}) {
+  try {
+    const url = `https://marine-api.open-meteo.com/v1/marine?latitude=${lat}&longitude=${lon}&hourly=sea_level_height_msl&forecast_days=1`;
+    const data = await fetchJson(url, { signal, retries: 1, timeoutMs: 8000 });
+
+    const levels = data.hourly && data.hourly.sea_level_height_msl;
+    return Array.isArray(levels) && levels.some(v => v != null);
+  } catch (error) {
+    if (error instanceof RequestCancelledError || error instanceof NetworkError) throw error;
+    return false;
+  }
+}
+
+// Nearest point with sea-level data to an inland position, searching rings of
+// increasing radius: { latitude, longitude, distanceKm, direction } (direction
+// is a compass point from the position), or null if none within 80 km. The
+// first probe that throws NetworkError ends the search and cancels the rest
+export async function findNearestCoastalPoint(lat, lon) {
+  const controller = new AbortController();
+
+  try {
+    for (const radius of SEARCH_RADII_KM) {
+      const candidates = SEARCH_BEARINGS.map(bearing => ({ bearing, ...destinationPoint(lat, lon, radius, bearing) }));
+      const coverage = await Promise.all(candidates.map(c => hasSeaLevelData(c.latitude, c.longitude, { signal: controller.signal })));
+
+      const found = candidates.find((c, i) => coverage[i]);
+      if (found) {
+        return {
+          latitude: parseFloat(found.latitude.toFixed(4)),
+          longitude: parseFloat(found.longitude.toFixed(4)),
+          distanceKm: radius,
+          direction: compassPoint(found.bearing)
+        };
+      }
+    }
+
+    return null;
+  } finally {
+    controller.abort();
+  }
+}
@@ -0,0 +1,63 @@
+// Marine conditions (waves, swell, wind waves, sea temperature) for the popup's
+// conditions panel, read from a forecast's conditions series. Pure functions
+
+// Each wave component and the Open-Meteo variables it is built from
+export const WAVE_COMPONENTS = [
+  { id: 'wave', label: 'Waves', height: 'wave_height', period: 'wave_period', direction: 'wave_direction' },
+  { id: 'swell', label: 'Swell', height: 'swell_wave_height', period: 'swell_wave_period', direction: 'swell_wave_direction' },
+  { id: 'windWave', label: 'Wind waves', height: 'wind_wave_height', period: 'wind_wave_period', direction: 'wind_wave_direction' }
+];
+
+const COMPASS_POINTS = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
+
+// 16-point compass name for a bearing in degrees, e.g. 300 → "WNW"
+export function compassPoint(degrees) {
+  const normalized = ((degrees % 360) + 360) % 360;
+  return COMPASS_POINTS[Math.round(normalized / 22.5) % 16];
+}
+
+// Conditions for the hourly sample covering timeMs:
+// { time, components: { wave: { height, period, direction }, ... }, seaTemperature }.
+// Missing variables are null; returns null when timeMs is outside the series
+export function getConditionsAt(conditions, timeMs) {
+  if (!conditions || !conditions.time || conditions.time.length === 0) return null;
+
+  let index = -1;
+  for (let i = 0; i < conditions.time.length; i++) {
+    if (new Date(conditions.time[i]).getTime() <= timeMs) {
+      index = i;
+    } else {
+      break;
+    }
+  }
+  if (index === -1 || (index === conditions.time.length - 1 && timeMs - new Date(conditions.time[index]).getTime() >= 60 * 60 * 1000)) {
+    return null;
+  }
+
+  const value = (variable) => {
+    const series = conditions[variable];
+    return series && series[index] != null ? series[index] : null;
+  };
+
+  const components = {};
+  WAVE_COMPONENTS.forEach(component => {
+    components[component.id] = {
+      height: value(component.height),
+      period: value(component.period),
+      direction: value(component.direction)
+    };
+  });
+
+  return {
+    time: conditions.time[index],
+    components,
+    seaTemperature: value('sea_surface_temperature')
+  };
+}
+
+// Conditions now and a few hours ahead (offsets in hours), skipping times past the data
+export function getConditionsOutlook(conditions, now, offsetsHours = [0, 3, 6, 9]) {
+  return offsetsHours
+    .map(hours => getConditionsAt(conditions, now.getTime() + hours * 60 * 60 * 1000))
+    .filter(entry => entry !== null);
+}
@@ -0,0 +1,12 @@
+// Diagnostics switch, driven by the "diagnostics" setting on the options page.
+// When enabled, tide detection and the popup log detailed data-quality output to the console
+
+let diagnosticsEnabled = false;
+
+export function setDiagnosticsEnabled(enabled) {
+  diagnosticsEnabled = Boolean(enabled);
+}
+
+export function isDiagnosticsEnabled() {
+  return diagnosticsEnabled;
+}
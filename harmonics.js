@@ -0,0 +1,418 @@
+// Harmonic tide prediction: fit tidal constituents to a sea-level series by
+// least squares (or take published constituents) and predict heights and
+// HIGH/LOW events for any date range without the network.
+// Pure functions, no DOM. Heights are in metres, phases in degrees (Greenwich
+// epoch, GMT), following h(t) = Z0 + Σ f·H·cos(V(t) + u − G)
+import { fitLeastSquares } from './least-squares.js';
+import { createTideEvent, classifyTideRegime, labelTideEvents } from './tides.js';
+
+const DEG = Math.PI / 180;
+const HOUR_MS = 60 * 60 * 1000;
+const J2000_MS = Date.UTC(2000, 0, 1, 12, 0, 0);
+
+// Mean astronomical longitudes (degrees) at a time: moon s, sun h, lunar
+// perigee p, lunar ascending node N, and the mean solar hour angle T
+function astronomicalArguments(timeMs) {
+  const days = (timeMs - J2000_MS) / (24 * HOUR_MS);
+  const utHours = ((timeMs / HOUR_MS) % 24 + 24) % 24;
+
+  return {
+    T: 180 + 15 * utHours,
+    s: 218.3164477 + 13.17639648 * days,
+    h: 280.46646 + 0.98564736 * days,
+    p: 83.3532465 + 0.11140353 * days,
+    N: 125.04452 - 0.05295376 * days
+  };
+}
+
+// Nodal corrections shared by the lunar constituents
+function lunarSemidiurnalNodal(N) {
+  return {
+    f: 1.0004 - 0.0373 * Math.cos(N * DEG) + 0.0002 * Math.cos(2 * N * DEG),
+    u: -2.14 * Math.sin(N * DEG)
+  };
+}
+
+function lunarDiurnalNodal(N) {
+  return {
+    f: 1.0089 + 0.1871 * Math.cos(N * DEG) - 0.0147 * Math.cos(2 * N * DEG) + 0.0014 * Math.cos(3 * N * DEG),
+    u: 10.80 * Math.sin(N * DEG) - 1.34 * Math.sin(2 * N * DEG) + 0.19 * Math.sin(3 * N * DEG)
+  };
+}
+
+const NO_NODAL = () => ({ f: 1, u: 0 });
+
+// Supported constituents: speed in degrees per hour, equilibrium argument V
+// and nodal factor f / angle u. Listed in the order they are added to a fit
+export const CONSTITUENTS = {
+  M2: { speed: 28.9841042, V: a => 2 * a.T - 2 * a.s + 2 * a.h, nodal: lunarSemidiurnalNodal },
+  K1: {
+    speed: 15.0410686,
+    V: a => a.T + a.h - 90,
+    nodal: N => ({
+      f: 1.0060 + 0.1150 * Math.cos(N * DEG) - 0.0088 * Math.cos(2 * N * DEG) + 0.0006 * Math.cos(3 * N * DEG),
+      u: -8.86 * Math.sin(N * DEG) + 0.68 * Math.sin(2 * N * DEG) - 0.07 * Math.sin(3 * N * DEG)
+    })
+  },
+  M4: {
+    speed: 57.9682084,
+    V: a => 4 * a.T - 4 * a.s + 4 * a.h,
+    nodal: N => {
+      const m2 = lunarSemidiurnalNodal(N);
+      return { f: m2.f * m2.f, u: 2 * m2.u };
+    }
+  },
+  S2: { speed: 30.0, V: a => 2 * a.T, nodal: NO_NODAL },
+  O1: { speed: 13.9430356, V: a => a.T - 2 * a.s + a.h + 90, nodal: lunarDiurnalNodal },
+  M6: {
+    speed: 86.9523127,
+    V: a => 6 * a.T - 6 * a.s + 6 * a.h,
+    nodal: N => {
+      const m2 = lunarSemidiurnalNodal(N);
+      return { f: m2.f ** 3, u: 3 * m2.u };
+    }
+  },
+  N2: { speed: 28.4397295, V: a => 2 * a.T - 3 * a.s + 2 * a.h + a.p, nodal: lunarSemidiurnalNodal },
+  MS4: { speed: 58.9841042, V: a => 4 * a.T - 2 * a.s + 2 * a.h, nodal: lunarSemidiurnalNodal },
+  P1: { speed: 14.9589314, V: a => a.T - a.h + 90, nodal: NO_NODAL },
+  K2: {
+    speed: 30.0821373,
+    V: a => 2 * a.T + 2 * a.h,
+    nodal: N => ({
+      f: 1.0241 + 0.2863 * Math.cos(N * DEG) + 0.0083 * Math.cos(2 * N * DEG) - 0.0015 * Math.cos(3 * N * DEG),
+      u: -17.74 * Math.sin(N * DEG) + 0.68 * Math.sin(2 * N * DEG) - 0.04 * Math.sin(3 * N * DEG)
+    })
+  },
+  Q1: { speed: 13.3986609, V: a => a.T - 3 * a.s + a.h + a.p + 90, nodal: lunarDiurnalNodal },
+  MF: {
+    speed: 1.0980331,
+    V: a => 2 * a.s,
+    nodal: N => ({ f: 1.043 + 0.414 * Math.cos(N * DEG), u: -23.7 * Math.sin(N * DEG) + 2.7 * Math.sin(2 * N * DEG) })
+  },
+  MM: { speed: 0.5443747, V: a => a.s - a.p, nodal: N => ({ f: 1.0 - 0.130 * Math.cos(N * DEG), u: 0 }) }
+};
+
+// Constituent terms at a time: f and the full phase V + u in degrees
+function constituentTerms(name, timeMs) {
+  const constituent = CONSTITUENTS[name];
+  const args = astronomicalArguments(timeMs);
+  const { f, u } = constituent.nodal(args.N);
+  return { f, phase: constituent.V(args) + u };
+}
+
+// Constituents that a record of this length can tell apart (Rayleigh
+// criterion: two speeds need |Δspeed| × duration ≥ 360°), in CONSTITUENTS order
+export function selectResolvableConstituents(durationHours, candidates = Object.keys(CONSTITUENTS)) {
+  const selected = [];
+
+  candidates.forEach(name => {
+    const speed = CONSTITUENTS[name].speed;
+    // Long-period constituents also need a full cycle of their own
+    if (speed * durationHours < 360) return;
+
+    const resolvable = selected.every(other => Math.abs(CONSTITUENTS[other].speed - speed) * durationHours >= 360);
+    if (resolvable) {
+      selected.push(name);
+    }
+  });
+
+  return selected;
+}
+
+// Equilibrium amplitude ratios of constituents a short record can't separate
+// from a neighbour (S2 from M2 needs about 15 days, O1 from K1 about 14, K2
+// from S2 half a year). An unresolved constituent is fitted tied to the nearest
+// resolved one up its chain: amplitude at the product of the ratios, same phase
+// lag, instead of being absorbed into it
+const INFERENCE_RATIOS = {
+  S2: { from: 'M2', ratio: 0.465 },
+  N2: { from: 'M2', ratio: 0.194 },
+  K2: { from: 'S2', ratio: 0.272 },
+  O1: { from: 'K1', ratio: 0.710 },
+  P1: { from: 'K1', ratio: 0.331 },
+  Q1: { from: 'O1', ratio: 0.194 }
+};
+
+// Fit constituents to { time[], sea_level_height_msl[] } by least squares.
+// Returns a model { datum, constituents: [{ name, amplitude, phase, inferred }], fit }
+// where fit holds the RMS / max residual against the source data, or null
+// when the series is too short or too sparse to fit. Inferred constituents
+// come from INFERENCE_RATIOS rather than the data
+export function fitHarmonicModel(hourlyData, { constituents } = {}) {
+  const samples = [];
+  hourlyData.sea_level_height_msl.forEach((height, i) => {
+    if (height != null) {
+      samples.push({ timeMs: new Date(hourlyData.time[i]).getTime(), height });
+    }
+  });
+
+  if (samples.length < 2) return null;
+
+  const durationHours = (samples[samples.length - 1].timeMs - samples[0].timeMs) / HOUR_MS;
+  // Without a full cycle of M2 or K1 only overtides fit, which don't predict the tide
+  const names = selectResolvableConstituents(durationHours, constituents);
+  if (!names.includes('M2') && !names.includes('K1')) return null;
+  if (samples.length < 2 * names.length + 1) return null;
+
+  const inferred = inferConstituents(names, constituents);
+
+  // Columns: datum, then cos / sin of (V + u) for each constituent, scaled by f.
+  // A constituent's inferred companions share its columns, weighted by their ratio
+  const rows = samples.map(sample => {
+    const row = [1];
+    names.forEach(name => {
+      const { f, phase } = constituentTerms(name, sample.timeMs);
+      let cos = f * Math.cos(phase * DEG);
+      let sin = f * Math.sin(phase * DEG);
+      inferred.filter(c => c.from === name).forEach(c => {
+        const terms = constituentTerms(c.name, sample.timeMs);
+        cos += c.ratio * terms.f * Math.cos(terms.phase * DEG);
+        sin += c.ratio * terms.f * Math.sin(terms.phase * DEG);
+      });
+      row.push(cos, sin);
+    });
+    return row;
+  });
+
+  const coefficients = fitLeastSquares(rows, samples.map(s => s.height));
+  if (!coefficients) return null;
+
+  const fitted = names.map((name, i) => {
+    const a = coefficients[1 + 2 * i];
+    const b = coefficients[2 + 2 * i];
+    return {
+      name: name,
+      amplitude: Math.hypot(a, b),
+      phase: ((Math.atan2(b, a) / DEG) + 360) % 360,
+      inferred: false
+    };
+  });
+
+  const model = {
+    datum: coefficients[0],
+    constituents: [
+      ...fitted,
+      ...inferred.map(c => {
+        const main = fitted.find(m => m.name === c.from);
+        return { name: c.name, amplitude: main.amplitude * c.ratio, phase: main.phase, inferred: true };
+      })
+    ],
+    fit: null
+  };
+
+  model.fit = {
+    start: new Date(samples[0].timeMs).toISOString(),
+    end: new Date(samples[samples.length - 1].timeMs).toISOString(),
+    ...evaluateHarmonicModel(model, hourlyData)
+  };
+
+  return model;
+}
+
+// Unresolved constituents to infer from the resolved ones: [{ name, from, ratio }]
+function inferConstituents(resolved, candidates = Object.keys(CONSTITUENTS)) {
+  const inferred = [];
+
+  Object.keys(INFERENCE_RATIOS).forEach(name => {
+    if (resolved.includes(name) || !candidates.includes(name)) return;
+
+    let from = name;
+    let ratio = 1;
+    while (INFERENCE_RATIOS[from] && !resolved.includes(from)) {
+      ratio *= INFERENCE_RATIOS[from].ratio;
+      from = INFERENCE_RATIOS[from].from;
+    }
+
+    if (resolved.includes(from)) {
+      inferred.push({ name, from, ratio });
+    }
+  });
+
+  return inferred;
+}
+
+// Build a model from published constituents, e.g. a station's harmonic
+// constants. Throws on unknown constituent names
+export function createHarmonicModel(datum, constituents) {
+  constituents.forEach(c => {
+    if (!CONSTITUENTS[c.name]) {
+      throw new Error(`Unknown tidal constituent: ${c.name}`);
+    }
+  });
+
+  return {
+    datum: datum,
+    constituents: constituents.map(c => ({ name: c.name, amplitude: c.amplitude, phase: c.phase })),
+    fit: null
+  };
+}
+
+// Parse published constituents entered as text, one per line:
+//   "M2 1.234 123.4"  (name, amplitude in metres, phase in degrees)
+//   "Z0 0.05"         (optional datum offset)
+export function parseConstituentText(text) {
+  let datum = 0;
+  const constituents = [];
+
+  text.split('\n').map(line => line.trim()).filter(Boolean).forEach(line => {
+    const [rawName, ...values] = line.split(/[\s,;]+/);
+    const name = rawName.toUpperCase();
+    const numbers = values.map(parseFloat);
+
+    if (name === 'Z0') {
+      if (isNaN(numbers[0])) throw new Error(`Invalid datum line: ${line}`);
+      datum = numbers[0];
+      return;
+    }
+
+    if (numbers.length < 2 || numbers.some(isNaN)) {
+      throw new Error(`Invalid constituent line: ${line}`);
+    }
+    constituents.push({ name, amplitude: numbers[0], phase: numbers[1] });
+  });
+
+  if (constituents.length === 0) {
+    throw new Error('No tidal constituents given');
+  }
+
+  return createHarmonicModel(datum, constituents);
+}
+
+export function predictHeight(model, timeMs) {
+  let height = model.datum;
+
+  model.constituents.forEach(c => {
+    const { f, phase } = constituentTerms(c.name, timeMs);
+    height += f * c.amplitude * Math.cos((phase - c.phase) * DEG);
+  });
+
+  return height;
+}
+
+// Rate of change in metres per hour
+function predictRate(model, timeMs) {
+  let rate = 0;
+
+  model.constituents.forEach(c => {
+    const { f, phase } = constituentTerms(c.name, timeMs);
+    rate -= f * c.amplitude * CONSTITUENTS[c.name].speed * DEG * Math.sin((phase - c.phase) * DEG);
+  });
+
+  return rate;
+}
+
+// RMS and maximum absolute residual of the model against observed data
+export function evaluateHarmonicModel(model, hourlyData) {
+  let sumSquares = 0;
+  let maxError = 0;
+  let count = 0;
+
+  hourlyData.sea_level_height_msl.forEach((height, i) => {
+    if (height == null) return;
+    const residual = height - predictHeight(model, new Date(hourlyData.time[i]).getTime());
+    sumSquares += residual * residual;
+    maxError = Math.max(maxError, Math.abs(residual));
+    count++;
+  });
+
+  return {
+    rmsError: count > 0 ? Math.sqrt(sumSquares / count) : null,
+    maxError: count > 0 ? maxError : null,
+    samples: count
+  };
+}
+
+// Predicted series at a fixed step, in the { time[], sea_level_height_msl[] } shape
+export function predictSeries(model, startMs, endMs, stepMinutes = 60) {
+  const time = [];
+  const heights = [];
+
+  for (let t = startMs; t <= endMs; t += stepMinutes * 60 * 1000) {
+    time.push(new Date(t).toISOString());
+    heights.push(Math.round(predictHeight(model, t) * 1000) / 1000);
+  }
+
+  return { time, sea_level_height_msl: heights };
+}
+
+// HIGH/LOW events between two times, in the getPreciseTides() format. Extremes
+// are the zero crossings of the analytic rate of change, scanned at 10-minute
+// steps and refined by bisection to well under a minute
+export function predictTides(model, startMs, endMs) {
+  const stepMs = 10 * 60 * 1000;
+  const tides = [];
+  let previousRate = predictRate(model, startMs);
+
+  for (let t = startMs + stepMs; t <= endMs; t += stepMs) {
+    const rate = predictRate(model, t);
+
+    if (previousRate !== 0 && Math.sign(rate) !== Math.sign(previousRate)) {
+      let low = t - stepMs;
+      let high = t;
+      while (high - low > 10 * 1000) {
+        const middle = (low + high) / 2;
+        if (Math.sign(predictRate(model, middle)) === Math.sign(previousRate)) {
+          low = middle;
+        } else {
+          high = middle;
+        }
+      }
+
+      const extremeMs = Math.round((low + high) / 2);
+      tides.push(createTideEvent(previousRate > 0 ? 'HIGH' : 'LOW', extremeMs, predictHeight(model, extremeMs)));
+    }
+
+    previousRate = rate;
+  }
+
+  return tides;
+}
+
+// A complete offline forecast in the normalized provider shape
+export function predictForecast(model, startMs, endMs) {
+  const hourly = predictSeries(model, startMs, endMs);
+
+  return {
+    hourly: hourly,
+    tides: labelTideEvents(predictTides(model, startMs, endMs), classifyTideRegime(hourly)),
+    timezone: null
+  };
+}
+
+// Last time a model's predictions are trusted: a fitted model extrapolates as
+// far past the end of its source data as the data itself spans, since the
+// constituents it couldn't resolve drift further out of phase every day.
+// Published constituents are not limited
+export function getPredictionHorizon(model) {
+  if (!model.fit) return Infinity;
+
+  const startMs = new Date(model.fit.start).getTime();
+  const endMs = new Date(model.fit.end).getTime();
+  return endMs + (endMs - startMs);
+}
+
+// Offline forecast of forecastDays from the start of the current UTC day (so
+// the last tide is included), cut at the model's horizon. Adds prediction:
+// { fitDays, inferred: constituent names, endMs, truncated } for an accuracy
+// warning, or returns null when the horizon has already passed
+export function predictOfflineForecast(model, forecastDays, nowMs = Date.now()) {
+  const startMs = new Date(nowMs).setUTCHours(0, 0, 0, 0);
+  const horizonMs = getPredictionHorizon(model);
+  if (horizonMs <= nowMs) return null;
+
+  const requestedEndMs = startMs + forecastDays * 24 * HOUR_MS;
+  const endMs = Math.min(requestedEndMs, horizonMs);
+  const fitDays = model.fit
+    ? (new Date(model.fit.end).getTime() - new Date(model.fit.start).getTime()) / (24 * HOUR_MS)
+    : null;
+
+  return {
+    ...predictForecast(model, startMs, endMs),
+    prediction: {
+      fitDays: fitDays,
+      inferred: model.constituents.filter(c => c.inferred).map(c => c.name),
+      endMs: endMs,
+      truncated: endMs < requestedEndMs
+    }
+  };
+}
@@ -0,0 +1,149 @@
+// Shared HTTP client for the popup, the providers and the background worker:
+// per-request timeouts, retries with exponential backoff on transient failures
+// and cancellation through an AbortSignal. Failures are thrown as the error
+// classes below so the UI can tell the user what actually went wrong
+
+const DEFAULT_TIMEOUT_MS = 15000;
+const DEFAULT_RETRIES = 2;
+const BASE_RETRY_DELAY_MS = 500;
+const MAX_RETRY_DELAY_MS = 10000;
+
+// Statuses worth retrying: rate limiting and temporary server trouble
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+// The server answered with a non-2xx status
+export class HttpError extends Error {
+  constructor(status, url) {
+    super(`Request failed with status ${status}`);
+    this.name = 'HttpError';
+    this.status = status;
+    this.url = url;
+  }
+}
+
+// No response within the timeout
+export class TimeoutError extends Error {
+  constructor(url) {
+    super('Request timed out');
+    this.name = 'TimeoutError';
+    this.url = url;
+  }
+}
+
+// The request never reached the server (offline, DNS, CORS) or the connection dropped
+export class NetworkError extends Error {
+  constructor(message, url) {
+    super(message);
+    this.name = 'NetworkError';
+    this.url = url;
+  }
+}
+
+// The server answered but the body wasn't JSON (an HTML error page, a captive
+// portal). Asking again would get the same page, so it is not retried
+export class InvalidResponseError extends Error {
+  constructor(url) {
+    super('Response was not valid JSON');
+    this.name = 'InvalidResponseError';
+    this.url = url;
+  }
+}
+
+// The caller cancelled the request (e.g. a newer search replaced it)
+export class RequestCancelledError extends Error {
+  constructor() {
+    super('Request cancelled');
+    this.name = 'RequestCancelledError';
+  }
+}
+
+function isRetryable(error) {
+  if (error instanceof HttpError) return RETRYABLE_STATUSES.includes(error.status);
+  return error instanceof TimeoutError || error instanceof NetworkError;
+}
+
+// Wait ms, cut short (with RequestCancelledError) if signal aborts
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(new RequestCancelledError());
+      return;
+    }
+    const timer = setTimeout(resolve, ms);
+    if (signal) {
+      signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(new RequestCancelledError());
+      }, { once: true });
+    }
+  });
+}
+
+// Backoff before retry number attempt (0-based): doubling from
+// BASE_RETRY_DELAY_MS with jitter, or the server's Retry-After when it sends one
+function retryDelay(attempt, retryAfterSeconds) {
+  if (retryAfterSeconds != null && !isNaN(retryAfterSeconds)) {
+    return Math.min(retryAfterSeconds * 1000, MAX_RETRY_DELAY_MS);
+  }
+  const base = BASE_RETRY_DELAY_MS * Math.pow(2, attempt);
+  return Math.min(base + Math.random() * base / 2, MAX_RETRY_DELAY_MS);
+}
+
+// One attempt: fetch and read the body as text, both within the timeout and
+// cancellable, returning { response, text }
+async function fetchOnce(url, { timeoutMs, signal }) {
+  if (signal && signal.aborted) throw new RequestCancelledError();
+
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeoutMs);
+  const onAbort = () => controller.abort();
+  if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+  try {
+    const response = await fetch(url, { signal: controller.signal });
+    const text = await response.text();
+    return { response, text };
+  } catch (error) {
+    if (signal && signal.aborted) throw new RequestCancelledError();
+    if (timedOut) throw new TimeoutError(url);
+    throw new NetworkError(error.message || 'Network request failed', url);
+  } finally {
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener('abort', onAbort);
+  }
+}
+
+// GET url and parse the JSON body.
+// options: timeoutMs per attempt, retries after the first attempt, signal to
+// cancel, acceptErrorJson to return the JSON body of 4xx responses instead of
+// throwing (for APIs that explain errors in the body)
+export async function fetchJson(url, { timeoutMs = DEFAULT_TIMEOUT_MS, retries = DEFAULT_RETRIES, signal = null, acceptErrorJson = false } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    let retryAfterSeconds = null;
+
+    try {
+      const { response, text } = await fetchOnce(url, { timeoutMs, signal });
+
+      if (!response.ok) {
+        const clientError = response.status >= 400 && response.status < 500 && !RETRYABLE_STATUSES.includes(response.status);
+        if (!(acceptErrorJson && clientError)) {
+          retryAfterSeconds = parseFloat(response.headers.get('Retry-After'));
+          throw new HttpError(response.status, url);
+        }
+      }
+
+      try {
+        return JSON.parse(text);
+      } catch (error) {
+        throw new InvalidResponseError(url);
+      }
+    } catch (error) {
+      if (!isRetryable(error) || attempt >= retries) throw error;
+      await delay(retryDelay(attempt, retryAfterSeconds), signal);
+    }
+  }
+}
@@ -0,0 +1,57 @@
+// Small dense least-squares solver, enough for fitting a handful of tidal
+// constituents to an hourly series. Pure functions, no DOM
+
+// Solve min ||A x - b|| via the normal equations (AᵀA) x = Aᵀb.
+// rows is an array of equal-length coefficient arrays (the rows of A).
+// Returns the coefficient array, or null when the system is singular
+export function fitLeastSquares(rows, values) {
+  const n = rows.length > 0 ? rows[0].length : 0;
+  if (n === 0 || rows.length < n) return null;
+
+  const normal = Array.from({ length: n }, () => new Array(n).fill(0));
+  const rhs = new Array(n).fill(0);
+
+  rows.forEach((row, k) => {
+    for (let i = 0; i < n; i++) {
+      rhs[i] += row[i] * values[k];
+      for (let j = 0; j < n; j++) {
+        normal[i][j] += row[i] * row[j];
+      }
+    }
+  });
+
+  return solveLinearSystem(normal, rhs);
+}
+
+// Gaussian elimination with partial pivoting. Returns null for singular systems
+export function solveLinearSystem(matrix, vector) {
+  const n = vector.length;
+  const a = matrix.map((row, i) => [...row, vector[i]]);
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+    }
+    if (Math.abs(a[pivot][col]) < 1e-12) return null;
+    [a[col], a[pivot]] = [a[pivot], a[col]];
+
+    for (let row = col + 1; row < n; row++) {
+      const factor = a[row][col] / a[col][col];
+      for (let k = col; k <= n; k++) {
+        a[row][k] -= factor * a[col][k];
+      }
+    }
+  }
+
+  const x = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = a[row][n];
+    for (let k = row + 1; k < n; k++) {
+      sum -= a[row][k] * x[k];
+    }
+    x[row] = sum / a[row][row];
+  }
+
+  return x;
+}
@@ -0,0 +1,74 @@
+// Saved locations storage shared by the popup and the background service worker
+import { DEFAULT_PROVIDER_ID } from './providers/index.js';
+
+export function createLocationEntry(lat, lon, name, provider = DEFAULT_PROVIDER_ID, timezone = null) {
+  return {
+    id: crypto.randomUUID(),
+    name: name,
+    latitude: lat,
+    longitude: lon,
+    provider: provider,
+    timezone: timezone   // IANA timezone of the location, filled in lazily when unknown
+  };
+}
+
+// Load the saved locations list, migrating the legacy single-location keys
+export async function loadLocations() {
+  const stored = await chrome.storage.sync.get(['locations', 'selectedLocationId', 'latitude', 'longitude', 'locationName']);
+
+  let locations = Array.isArray(stored.locations) ? stored.locations : [];
+  let selectedLocationId = stored.selectedLocationId || null;
+
+  // Versions up to 1.1.0 stored exactly one latitude/longitude/locationName triple
+  if (locations.length === 0 && stored.latitude != null && stored.longitude != null) {
+    const migrated = createLocationEntry(stored.latitude, stored.longitude, stored.locationName || null);
+    locations = [migrated];
+    selectedLocationId = migrated.id;
+    await saveLocations(locations, selectedLocationId);
+    await chrome.storage.sync.remove(['latitude', 'longitude', 'locationName']);
+  }
+
+  // Fall back to the first spot if the selected one no longer exists
+  if (!locations.some(loc => loc.id === selectedLocationId) && locations.length > 0) {
+    selectedLocationId = locations[0].id;
+    await saveLocations(locations, selectedLocationId);
+  }
+
+  return { locations, selectedLocationId };
+}
+
+export async function saveLocations(locations, selectedLocationId) {
+  await chrome.storage.sync.set({ locations: locations, selectedLocationId: selectedLocationId });
+}
+
+export async function getSelectedLocation() {
+  const { locations, selectedLocationId } = await loadLocations();
+  return locations.find(loc => loc.id === selectedLocationId) || null;
+}
+
+// Recent search picks, newest first, kept per device in chrome.storage.local
+const RECENT_SEARCHES_KEY = 'recentSearches';
+const MAX_RECENT_SEARCHES = 5;
+
+export async function loadRecentSearches() {
+  const stored = await chrome.storage.local.get(RECENT_SEARCHES_KEY);
+  return Array.isArray(stored[RECENT_SEARCHES_KEY]) ? stored[RECENT_SEARCHES_KEY] : [];
+}
+
+// result is a geocoding search result ({ name, country, admin1, latitude, longitude, timezone, coastal })
+export async function addRecentSearch(result) {
+  const recent = await loadRecentSearches();
+  const entry = {
+    name: result.name,
+    country: result.country || null,
+    admin1: result.admin1 || null,
+    latitude: result.latitude,
+    longitude: result.longitude,
+    timezone: result.timezone || null,
+    coastal: result.coastal != null ? result.coastal : null
+  };
+
+  const updated = [entry, ...recent.filter(r => r.latitude !== entry.latitude || r.longitude !== entry.longitude)]
+    .slice(0, MAX_RECENT_SEARCHES);
+  await chrome.storage.local.set({ [RECENT_SEARCHES_KEY]: updated });
+}
@@ -0,0 +1,68 @@
+// Moon phase computed locally, and spring/neap classification of tide days.
+// The Moon's elongation from the Sun uses the mean elongation plus the largest
+// periodic terms, good to an hour or two, plenty for naming the phase.
+// Pure functions, no DOM
+const DEG = Math.PI / 180;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const J2000_MS = Date.UTC(2000, 0, 1, 12, 0, 0);
+
+const SYNODIC_MONTH_DAYS = 29.530588853;
+
+// Spring tides lag new and full moon by a day or two; days within this window
+// of new/full (after the lag) count as spring, within it of a quarter as neap
+const SPRING_LAG_DAYS = 1.5;
+const SPRING_NEAP_WINDOW_DAYS = 2.5;
+
+const PHASE_NAMES = [
+  'New moon', 'Waxing crescent', 'First quarter', 'Waxing gibbous',
+  'Full moon', 'Waning gibbous', 'Last quarter', 'Waning crescent'
+];
+
+// { age (days since new moon), fraction (0–1 through the lunation),
+//   illumination (0–1 of the disc lit), name }
+export function getMoonPhase(timeMs) {
+  const d = (timeMs - J2000_MS) / DAY_MS;
+
+  const D = (297.8502 + 12.19074912 * d) * DEG;          // Mean elongation
+  const M = (357.5291 + 0.98560028 * d) * DEG;           // Sun's mean anomaly
+  const moonAnomaly = (134.9634 + 13.06499295 * d) * DEG; // Moon's mean anomaly
+
+  const elongation = D / DEG +
+    6.289 * Math.sin(moonAnomaly) -
+    2.100 * Math.sin(M) +
+    1.274 * Math.sin(2 * D - moonAnomaly) +
+    0.658 * Math.sin(2 * D) +
+    0.214 * Math.sin(2 * moonAnomaly) +
+    0.110 * Math.sin(D);
+
+  const fraction = (((elongation % 360) + 360) % 360) / 360;
+  const illumination = (1 - Math.cos(fraction * 2 * Math.PI)) / 2;
+
+  return {
+    age: fraction * SYNODIC_MONTH_DAYS,
+    fraction,
+    illumination,
+    name: PHASE_NAMES[Math.round(fraction * 8) % 8]
+  };
+}
+
+// 'spring', 'neap' or null for a day (timeMs anywhere in it). The moon phase
+// proposes spring or neap; the day's tidal range has to agree by being at or
+// above (spring) or at or below (neap) averageRange, when one is given
+export function classifySpringNeap(timeMs, dayRange = null, averageRange = null) {
+  const age = getMoonPhase(timeMs - SPRING_LAG_DAYS * DAY_MS).age;
+  const quarter = SYNODIC_MONTH_DAYS / 4;
+
+  // Distance in days to the nearest new/full moon and to the nearest quarter
+  const toSyzygy = Math.min(age % (2 * quarter), 2 * quarter - (age % (2 * quarter)));
+  const toQuarter = Math.abs(toSyzygy - quarter);
+  const canCompare = dayRange != null && averageRange != null;
+
+  if (toSyzygy <= SPRING_NEAP_WINDOW_DAYS && (!canCompare || dayRange >= averageRange)) {
+    return 'spring';
+  }
+  if (toQuarter <= SPRING_NEAP_WINDOW_DAYS && (!canCompare || dayRange <= averageRange)) {
+    return 'neap';
+  }
+  return null;
+}
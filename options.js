@@ -0,0 +1,252 @@
+import { loadSettings, saveSettings } from './settings.js';
+import { getSelectedLocation } from './locations.js';
+import { applyTheme } from './theme.js';
+import { EXTRACTION_METHODS } from './tides.js';
+import { ACTIVITY_VARIABLES, ACTIVITY_OPERATORS, createActivityProfile, createActivityRule } from './activities.js';
+import { convertHeight, convertTemperature } from './units.js';
+
+// DOM Elements
+const optionsForm = document.getElementById('options-form');
+const saveStatus = document.getElementById('save-status');
+const activityList = document.getElementById('activity-list');
+const addActivityBtn = document.getElementById('add-activity');
+
+// Form fields by setting name
+const fields = {
+  heightUnit: document.getElementById('height-unit'),
+  clockFormat: document.getElementById('clock-format'),
+  theme: document.getElementById('theme'),
+  extractionMethod: document.getElementById('extraction-method'),
+  diagnostics: document.getElementById('diagnostics')
+};
+
+let statusTimeout = null;
+let activityProfiles = [];
+let heightUnit = 'm';
+let themeLocation = null;
+
+// Initialize the options page
+init();
+
+async function init() {
+  const settings = await loadSettings();
+  themeLocation = await getSelectedLocation();
+  applyTheme(settings.theme, themeLocation);
+
+  EXTRACTION_METHODS.forEach(method => {
+    const option = document.createElement('option');
+    option.value = method.id;
+    option.textContent = method.name;
+    fields.extractionMethod.appendChild(option);
+  });
+
+  Object.entries(fields).forEach(([name, field]) => {
+    if (field.type === 'checkbox') {
+      field.checked = settings[name];
+    } else {
+      field.value = settings[name];
+    }
+  });
+
+  activityProfiles = settings.activityProfiles;
+  heightUnit = settings.heightUnit;
+  renderActivities();
+}
+
+// Save each setting as soon as it changes; an open popup picks it up via storage.onChanged
+optionsForm.addEventListener('change', async (e) => {
+  const field = e.target;
+  const value = field.type === 'checkbox' ? field.checked : field.value;
+
+  try {
+    await saveSettings({ [field.name]: value });
+  } catch (error) {
+    showStatus('Failed to save settings');
+    return;
+  }
+
+  if (field.name === 'theme') {
+    applyTheme(value, themeLocation);
+  }
+  if (field.name === 'heightUnit') {
+    heightUnit = value;
+    renderActivities();
+  }
+  showStatus('Saved');
+});
+
+addActivityBtn.addEventListener('click', () => {
+  const profile = createActivityProfile(`Activity ${activityProfiles.length + 1}`);
+  profile.rules.push(createActivityRule());
+  activityProfiles.push(profile);
+  renderActivities();
+  saveActivities();
+});
+
+async function saveActivities() {
+  try {
+    await saveSettings({ activityProfiles });
+  } catch (error) {
+    showStatus('Failed to save settings');
+    return;
+  }
+  showStatus('Saved');
+}
+
+// Rule values are stored in metres / °C and shown in the chosen unit
+function toDisplayValue(variable, value) {
+  if (variable.kind === 'height') return parseFloat(convertHeight(value, heightUnit).toFixed(2));
+  if (variable.kind === 'temperature') return parseFloat(convertTemperature(value, heightUnit).toFixed(1));
+  return value;
+}
+
+function fromDisplayValue(variable, value) {
+  if (variable.kind === 'height') return value / convertHeight(1, heightUnit);
+  if (variable.kind === 'temperature') return heightUnit === 'ft' ? (value - 32) * 5 / 9 : value;
+  return value;
+}
+
+function unitLabel(variable) {
+  switch (variable.kind) {
+    case 'height': return heightUnit === 'ft' ? 'ft' : 'm';
+    case 'temperature': return heightUnit === 'ft' ? '°F' : '°C';
+    case 'seconds': return 's';
+    default: return 'h';
+  }
+}
+
+// Rule editor: one block per activity with its name, a daylight-only switch and its rules
+function renderActivities() {
+  activityList.innerHTML = '';
+
+  activityProfiles.forEach((profile, profileIndex) => {
+    const item = document.createElement('li');
+    item.className = 'activity-item';
+
+    const header = document.createElement('div');
+    header.className = 'activity-row';
+
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.value = profile.name;
+    nameInput.setAttribute('aria-label', 'Activity name');
+    nameInput.addEventListener('change', () => {
+      profile.name = nameInput.value.trim() || profile.name;
+      saveActivities();
+    });
+    header.appendChild(nameInput);
+
+    header.appendChild(createIconButton('✕', 'Delete activity', () => {
+      activityProfiles.splice(profileIndex, 1);
+      renderActivities();
+      saveActivities();
+    }));
+    item.appendChild(header);
+
+    const daylightLabel = document.createElement('label');
+    daylightLabel.className = 'checkbox-label';
+    const daylightInput = document.createElement('input');
+    daylightInput.type = 'checkbox';
+    daylightInput.checked = profile.daylightOnly;
+    daylightInput.addEventListener('change', () => {
+      profile.daylightOnly = daylightInput.checked;
+      saveActivities();
+    });
+    daylightLabel.appendChild(daylightInput);
+    daylightLabel.appendChild(document.createTextNode(' Daylight only'));
+    item.appendChild(daylightLabel);
+
+    profile.rules.forEach((rule, ruleIndex) => {
+      item.appendChild(createRuleRow(profile, rule, ruleIndex));
+    });
+
+    const addRuleBtn = document.createElement('button');
+    addRuleBtn.type = 'button';
+    addRuleBtn.className = 'link-btn';
+    addRuleBtn.textContent = 'Add rule';
+    addRuleBtn.addEventListener('click', () => {
+      profile.rules.push(createActivityRule());
+      renderActivities();
+      saveActivities();
+    });
+    item.appendChild(addRuleBtn);
+
+    activityList.appendChild(item);
+  });
+}
+
+function createRuleRow(profile, rule, ruleIndex) {
+  const row = document.createElement('div');
+  row.className = 'activity-row';
+  const variable = ACTIVITY_VARIABLES.find(v => v.id === rule.variable) || ACTIVITY_VARIABLES[0];
+
+  const variableSelect = document.createElement('select');
+  variableSelect.setAttribute('aria-label', 'Variable');
+  ACTIVITY_VARIABLES.forEach(v => {
+    variableSelect.appendChild(new Option(v.label, v.id, false, v.id === variable.id));
+  });
+  variableSelect.addEventListener('change', () => {
+    rule.variable = variableSelect.value;
+    renderActivities();
+    saveActivities();
+  });
+  row.appendChild(variableSelect);
+
+  const operatorSelect = document.createElement('select');
+  operatorSelect.setAttribute('aria-label', 'Comparison');
+  ACTIVITY_OPERATORS.forEach(op => {
+    operatorSelect.appendChild(new Option(op.label, op.id, false, op.id === rule.operator));
+  });
+  operatorSelect.addEventListener('change', () => {
+    rule.operator = operatorSelect.value;
+    saveActivities();
+  });
+  row.appendChild(operatorSelect);
+
+  const valueInput = document.createElement('input');
+  valueInput.type = 'number';
+  valueInput.step = '0.1';
+  valueInput.value = toDisplayValue(variable, rule.value);
+  valueInput.setAttribute('aria-label', `Value in ${unitLabel(variable)}`);
+  valueInput.addEventListener('change', () => {
+    const value = parseFloat(valueInput.value);
+    if (isNaN(value)) return;
+    rule.value = fromDisplayValue(variable, value);
+    saveActivities();
+  });
+  row.appendChild(valueInput);
+
+  const unit = document.createElement('span');
+  unit.className = 'activity-unit';
+  unit.textContent = unitLabel(variable);
+  row.appendChild(unit);
+
+  row.appendChild(createIconButton('✕', 'Remove rule', () => {
+    profile.rules.splice(ruleIndex, 1);
+    renderActivities();
+    saveActivities();
+  }));
+
+  return row;
+}
+
+function createIconButton(symbol, title, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'icon-btn';
+  button.textContent = symbol;
+  button.title = title;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+function showStatus(message) {
+  saveStatus.textContent = message;
+
+  if (statusTimeout) {
+    clearTimeout(statusTimeout);
+  }
+  statusTimeout = setTimeout(() => {
+    saveStatus.textContent = '';
+  }, 1500);
+}
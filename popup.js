@@ -1,44 +1,88 @@
+import { analyzeForecast, formatTideLabel, getNextTides, getCurrentLevel, getTideState, getTimeUntil, getTimeAgo } from './tides.js';
+import { loadLocations, saveLocations, createLocationEntry, loadRecentSearches, addRecentSearch } from './locations.js';
+import { PROVIDERS, getProvider, fetchForecast, ProviderError } from './providers/index.js';
+import { SETTINGS_DEFAULTS, FORECAST_DAY_OPTIONS, loadSettings, saveSettings, getHour12 } from './settings.js';
+import { saveCachedForecast, loadCachedForecast, loadHarmonicModel, removeCachedForecast } from './cache.js';
+import { predictOfflineForecast, parseConstituentText } from './harmonics.js';
+import { createTimeFormatter, isValidTimeZone } from './time-format.js';
+import { formatHeight, formatRate, formatTemperature } from './units.js';
+import { WAVE_COMPONENTS, compassPoint, getConditionsOutlook } from './conditions.js';
+import { findActivityWindows } from './activities.js';
+import { getEventIssues } from './tide-quality.js';
+import { buildTideCalendar, buildTideCsv } from './tide-export.js';
+import { hasSeaLevelData, findNearestCoastalPoint } from './coastal.js';
+import { fetchJson, HttpError, TimeoutError, NetworkError, InvalidResponseError, RequestCancelledError } from './http.js';
+import { getNightPeriods, getNextSunTimes, isDaylight } from './sun.js';
+import { getMoonPhase, classifySpringNeap } from './moon.js';
+import { applyTheme } from './theme.js';
+import { setDiagnosticsEnabled, isDiagnosticsEnabled } from './diagnostics.js';
+
 // DOM Elements
 const locationSetup = document.getElementById('location-setup');
 const tideInfo = document.getElementById('tide-info');
 const locationSearchInput = document.getElementById('location-search');
 const searchResultsDiv = document.getElementById('search-results');
+const searchResultsHeading = document.getElementById('search-results-heading');
+const searchListbox = document.getElementById('search-listbox');
+const searchMessage = document.getElementById('search-message');
 const toggleManualBtn = document.getElementById('toggle-manual');
+const useMyLocationBtn = document.getElementById('use-my-location');
+const geolocationStatusDiv = document.getElementById('geolocation-status');
 const manualInputsDiv = document.getElementById('manual-inputs');
 const latitudeInput = document.getElementById('latitude');
 const longitudeInput = document.getElementById('longitude');
 const saveLocationBtn = document.getElementById('save-location');
 const changeLocationBtn = document.getElementById('change-location');
-const locationDisplay = document.getElementById('location-name');
+const cancelSetupBtn = document.getElementById('cancel-setup');
+const locationSwitcher = document.getElementById('location-switcher');
+const savedLocationsDiv = document.getElementById('saved-locations');
+const savedLocationsList = document.getElementById('saved-locations-list');
+const providerSelect = document.getElementById('provider-select');
+const apiKeyGroup = document.getElementById('api-key-group');
+const constituentsGroup = document.getElementById('constituents-group');
+const constituentsInput = document.getElementById('constituents');
+const apiKeyInput = document.getElementById('api-key');
+const disclaimerText = document.getElementById('disclaimer-text');
 const tideDataDiv = document.getElementById('tide-data');
+const notificationsEnabledInput = document.getElementById('notifications-enabled');
+const notificationLeadSelect = document.getElementById('notification-lead');
+const viewNowBtn = document.getElementById('view-now');
+const viewTableBtn = document.getElementById('view-table');
+const viewCompareBtn = document.getElementById('view-compare');
+const compareViewDiv = document.getElementById('compare-view');
+const forecastDaysSelect = document.getElementById('forecast-days');
+const useLocationTimezoneInput = document.getElementById('use-location-timezone');
+const timezoneNameSpan = document.getElementById('timezone-name');
+const openOptionsBtn = document.getElementById('open-options');
+const exportIcsBtn = document.getElementById('export-ics');
+const exportCsvBtn = document.getElementById('export-csv');
 const errorMessage = document.getElementById('error-message');
-
-// Debug flag - set to true to enable detailed diagnostic logging
-const DEBUG_MODE = false;
-
-// Tidal physics constants
-const TIDAL_CONSTANTS = {
-  MIN_TIDE_SEPARATION_HOURS: 4.5,  // Minimum hours between tides (conservative estimate)
-  MIN_TIDE_SEPARATION_MS: 4.5 * 60 * 60 * 1000  // In milliseconds
-};
+const statusAnnouncer = document.getElementById('status-announcer');
 
 // State
 let selectedLocation = null;
 let searchTimeout = null;
+let savedLocations = [];
+let selectedLocationId = null;
+let settings = { ...SETTINGS_DEFAULTS };
+let timeFormat = createTimeFormatter();
+let lastForecast = null; // { location, data, fetchedAt, predicted } of the forecast on screen
 
 // Initialize the extension
 init();
 
 async function init() {
-  // Set time-based theme
-  setTimeBasedTheme();
+  // Set time-based theme until the theme setting has loaded
+  applyTheme(SETTINGS_DEFAULTS.theme);
 
   try {
-    const savedLocation = await chrome.storage.sync.get(['latitude', 'longitude', 'locationName']);
+    await loadSavedLocations();
+    await loadPopupSettings();
 
-    if (savedLocation.latitude && savedLocation.longitude) {
+    const current = getSelectedLocation();
+    if (current) {
       // Location exists, show tide info
-      showTideInfo(savedLocation.latitude, savedLocation.longitude, savedLocation.locationName);
+      showTideInfo(current);
     } else {
       // No location saved, show setup
       showLocationSetup();
@@ -48,49 +92,244 @@ async function init() {
   }
 }
 
-// Set time-based theme based on current hour
-function setTimeBasedTheme() {
-  const hour = new Date().getHours();
-  const body = document.body;
+// Load the saved locations list into popup state
+async function loadSavedLocations() {
+  const stored = await loadLocations();
+  savedLocations = stored.locations;
+  selectedLocationId = stored.selectedLocationId;
+}
+
+// Reflect the stored settings in the popup controls
+async function loadPopupSettings() {
+  settings = await loadSettings();
+  applyTheme(settings.theme, getSelectedLocation());
+  setDiagnosticsEnabled(settings.diagnostics);
+  notificationsEnabledInput.checked = settings.notificationsEnabled;
+  notificationLeadSelect.value = String(settings.notificationLeadMinutes);
+  notificationLeadSelect.disabled = !settings.notificationsEnabled;
+  useLocationTimezoneInput.checked = settings.useLocationTimezone;
+}
+
+function getSelectedLocation() {
+  return savedLocations.find(loc => loc.id === selectedLocationId) || null;
+}
 
-  // Remove all time classes
-  body.classList.remove('morning', 'afternoon', 'evening', 'night');
+async function persistLocations() {
+  await saveLocations(savedLocations, selectedLocationId);
+}
+
+// Add a location to the list (or reuse an existing entry with the same coordinates) and select it
+async function addLocation(lat, lon, name, provider, timezone = null) {
+  let entry = savedLocations.find(loc => loc.latitude === lat && loc.longitude === lon);
 
-  // Apply appropriate class based on time
-  if (hour >= 6 && hour < 12) {
-    body.classList.add('morning');
-  } else if (hour >= 12 && hour < 18) {
-    body.classList.add('afternoon');
-  } else if (hour >= 18 && hour < 24) {
-    body.classList.add('evening');
+  if (entry) {
+    entry.provider = provider;
   } else {
-    body.classList.add('night');
+    entry = createLocationEntry(lat, lon, name, provider, timezone);
+    savedLocations.push(entry);
+  }
+
+  selectedLocationId = entry.id;
+  await persistLocations();
+  return entry;
+}
+
+async function selectSavedLocation(id) {
+  selectedLocationId = id;
+  await persistLocations();
+  showTideInfo(getSelectedLocation());
+}
+
+async function setLocationProvider(id, providerId) {
+  const entry = savedLocations.find(loc => loc.id === id);
+  if (!entry) return;
+
+  entry.provider = providerId;
+  await persistLocations();
+}
+
+async function renameLocation(id, name) {
+  const entry = savedLocations.find(loc => loc.id === id);
+  if (!entry || !name) return;
+
+  entry.name = name;
+  await persistLocations();
+  renderLocationSwitcher();
+}
+
+// Move a location up (-1) or down (+1) in the list
+async function moveLocation(id, direction) {
+  const index = savedLocations.findIndex(loc => loc.id === id);
+  const target = index + direction;
+  if (index === -1 || target < 0 || target >= savedLocations.length) return;
+
+  [savedLocations[index], savedLocations[target]] = [savedLocations[target], savedLocations[index]];
+  await persistLocations();
+  renderSavedLocations();
+  renderLocationSwitcher();
+}
+
+async function deleteLocation(id) {
+  savedLocations = savedLocations.filter(loc => loc.id !== id);
+  await removeCachedForecast(id);
+
+  if (selectedLocationId === id) {
+    selectedLocationId = savedLocations.length > 0 ? savedLocations[0].id : null;
+  }
+
+  await persistLocations();
+  renderSavedLocations();
+  renderLocationSwitcher();
+  cancelSetupBtn.classList.toggle('hidden', !getSelectedLocation());
+}
+
+function formatCoordinates(lat, lon) {
+  return `${lat.toFixed(4)}°, ${lon.toFixed(4)}°`;
+}
+
+// Fill the quick switcher in the tide info header
+function renderLocationSwitcher() {
+  locationSwitcher.innerHTML = '';
+
+  savedLocations.forEach(loc => {
+    const option = document.createElement('option');
+    option.value = loc.id;
+    option.textContent = loc.name || formatCoordinates(loc.latitude, loc.longitude);
+    option.selected = loc.id === selectedLocationId;
+    locationSwitcher.appendChild(option);
+  });
+}
+
+// Build the saved locations manager shown on the setup screen
+function renderSavedLocations() {
+  savedLocationsList.innerHTML = '';
+  savedLocationsDiv.classList.toggle('hidden', savedLocations.length === 0);
+
+  savedLocations.forEach((loc, index) => {
+    const item = document.createElement('li');
+    item.className = 'saved-location-item';
+    if (loc.id === selectedLocationId) {
+      item.classList.add('selected');
+    }
+
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.className = 'saved-location-name';
+    nameInput.value = loc.name || formatCoordinates(loc.latitude, loc.longitude);
+    nameInput.title = 'Rename';
+    nameInput.setAttribute('aria-label', `Name of saved location ${index + 1}`);
+    nameInput.addEventListener('change', () => {
+      renameLocation(loc.id, nameInput.value.trim());
+    });
+
+    const displayName = loc.name || formatCoordinates(loc.latitude, loc.longitude);
+    const viewBtn = createIconButton('➜', `Show tides for ${displayName}`, () => selectSavedLocation(loc.id));
+    const upBtn = createIconButton('↑', `Move ${displayName} up`, () => moveLocation(loc.id, -1));
+    const downBtn = createIconButton('↓', `Move ${displayName} down`, () => moveLocation(loc.id, 1));
+    const deleteBtn = createIconButton('✕', `Delete ${displayName}`, () => deleteLocation(loc.id));
+
+    upBtn.disabled = index === 0;
+    downBtn.disabled = index === savedLocations.length - 1;
+
+    const itemProviderSelect = createProviderSelect(getProvider(loc.provider).id);
+    itemProviderSelect.className = 'saved-location-provider';
+    itemProviderSelect.title = 'Data source';
+    itemProviderSelect.setAttribute('aria-label', `Data source for saved location ${index + 1}`);
+    itemProviderSelect.addEventListener('change', () => {
+      setLocationProvider(loc.id, itemProviderSelect.value);
+    });
+
+    const row = document.createElement('div');
+    row.className = 'saved-location-row';
+    row.appendChild(nameInput);
+    row.appendChild(viewBtn);
+    row.appendChild(upBtn);
+    row.appendChild(downBtn);
+    row.appendChild(deleteBtn);
+
+    item.appendChild(row);
+    item.appendChild(itemProviderSelect);
+    savedLocationsList.appendChild(item);
+  });
+}
+
+function createProviderSelect(selectedId) {
+  const select = document.createElement('select');
+  fillProviderOptions(select, selectedId);
+  return select;
+}
+
+function fillProviderOptions(select, selectedId) {
+  select.innerHTML = '';
+  PROVIDERS.forEach(provider => {
+    const option = document.createElement('option');
+    option.value = provider.id;
+    option.textContent = provider.requiresApiKey ? `${provider.name} (API key)` : provider.name;
+    option.selected = provider.id === selectedId;
+    select.appendChild(option);
+  });
+}
+
+// Show the API key field for the provider picked in the setup form
+function updateApiKeyField() {
+  const provider = getProvider(providerSelect.value);
+  apiKeyGroup.classList.toggle('hidden', !provider.requiresApiKey);
+  constituentsGroup.classList.toggle('hidden', provider.id !== 'harmonic');
+  apiKeyInput.value = settings.providerApiKeys[provider.id] || '';
+}
+
+function createIconButton(symbol, title, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'icon-btn';
+  button.textContent = symbol;
+  button.title = title;
+  button.setAttribute('aria-label', title);
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+// Switching screens hides the focused control, so focus moves to the new
+// screen's heading rather than being lost to the page
+function showSection(section, previousSection) {
+  const hadFocus = previousSection.contains(document.activeElement);
+  previousSection.classList.add('hidden');
+  section.classList.remove('hidden');
+  if (hadFocus) {
+    section.querySelector('h2').focus();
   }
 }
 
 function showLocationSetup() {
-  locationSetup.classList.remove('hidden');
-  tideInfo.classList.add('hidden');
+  showSection(locationSetup, tideInfo);
   errorMessage.classList.add('hidden');
+  cancelSetupBtn.classList.toggle('hidden', !getSelectedLocation());
+  renderSavedLocations();
+
+  const current = getSelectedLocation();
+  fillProviderOptions(providerSelect, current ? getProvider(current.provider).id : PROVIDERS[0].id);
+  updateApiKeyField();
 }
 
-async function showTideInfo(lat, lon, locationName) {
-  locationSetup.classList.add('hidden');
-  tideInfo.classList.remove('hidden');
+async function showTideInfo(location) {
+  showSection(tideInfo, locationSetup);
   errorMessage.classList.add('hidden');
+  applyTheme(settings.theme, location);
 
-  // Display location name or fetch it if not provided
-  if (locationName) {
-    locationDisplay.textContent = locationName;
-  } else {
-    locationDisplay.textContent = 'Loading location...';
-    const name = await reverseGeocode(lat, lon);
-    locationDisplay.textContent = name;
+  renderLocationSwitcher();
+
+  // Fetch the location name if it was saved without one
+  if (!location.name) {
+    location.name = await reverseGeocode(location.latitude, location.longitude);
     // Save the location name for future use
-    await chrome.storage.sync.set({ locationName: name });
+    await persistLocations();
+    renderLocationSwitcher();
   }
 
-  fetchTideData(lat, lon);
+  disclaimerText.textContent = getProvider(location.provider).disclaimer;
+  renderForecastDaysOptions(location);
+
+  fetchTideData(location);
 }
 
 function showError(message) {
@@ -98,6 +337,18 @@ function showError(message) {
   errorMessage.classList.remove('hidden');
 }
 
+// Read a short update out to screen readers. The region is cleared first so
+// that repeating the same message is announced again
+let announceTimeout = null;
+
+function announce(message) {
+  clearTimeout(announceTimeout);
+  statusAnnouncer.textContent = '';
+  announceTimeout = setTimeout(() => {
+    statusAnnouncer.textContent = message;
+  }, 100);
+}
+
 // Location search input handler
 locationSearchInput.addEventListener('input', (e) => {
   const query = e.target.value.trim();
@@ -108,7 +359,9 @@ locationSearchInput.addEventListener('input', (e) => {
   }
 
   if (query.length < 2) {
-    searchResultsDiv.classList.add('hidden');
+    cancelSearch();
+    setSearchResultsOpen(false);
+    if (query.length === 0) showRecentSearches();
     return;
   }
 
@@ -118,9 +371,125 @@ locationSearchInput.addEventListener('input', (e) => {
   }, 300);
 });
 
+// Device position via the Geolocation API, checked for marine data
+useMyLocationBtn.addEventListener('click', async () => {
+  if (!navigator.geolocation) {
+    showGeolocationStatus('Location is not available in this browser');
+    return;
+  }
+
+  showGeolocationStatus('Finding your position...');
+  useMyLocationBtn.disabled = true;
+
+  try {
+    let position;
+    try {
+      position = await getCurrentPosition();
+    } catch (error) {
+      showGeolocationStatus(error.code === 1 // PERMISSION_DENIED
+        ? 'Location permission was denied'
+        : 'Could not determine your position');
+      return;
+    }
+
+    const lat = parseFloat(position.coords.latitude.toFixed(4));
+    const lon = parseFloat(position.coords.longitude.toFixed(4));
+    await useDevicePosition(lat, lon);
+  } catch (error) {
+    console.error('Tide data check error:', error);
+    showGeolocationStatus(describeRequestError(error, 'Could not check tide data for your position. Please try again.'));
+  } finally {
+    useMyLocationBtn.disabled = false;
+  }
+});
+
+function getCurrentPosition() {
+  return new Promise((resolve, reject) => {
+    navigator.geolocation.getCurrentPosition(resolve, reject, { timeout: 15000, maximumAge: 5 * 60 * 1000 });
+  });
+}
+
+// Select the position if it has sea-level data, otherwise offer the nearest point that does
+async function useDevicePosition(lat, lon) {
+  showGeolocationStatus('Checking tide data for your position...');
+
+  if (await hasSeaLevelData(lat, lon)) {
+    const name = await reverseGeocode(lat, lon);
+    selectDevicePoint(lat, lon, name);
+    showGeolocationStatus(`Using your position: ${name}`);
+    return;
+  }
+
+  showGeolocationStatus('No tide data at your position, looking for the nearest coast...');
+  const coastal = await findNearestCoastalPoint(lat, lon);
+
+  if (!coastal) {
+    showGeolocationStatus('No tide data within 80 km of your position. Search for a coastal location instead.');
+    return;
+  }
+
+  const name = await reverseGeocode(coastal.latitude, coastal.longitude);
+  showGeolocationStatus(`No tide data at your position. Nearest coastal point: ${name}, about ${coastal.distanceKm} km ${coastal.direction}.`);
+
+  const useCoastalBtn = document.createElement('button');
+  useCoastalBtn.className = 'link-btn';
+  useCoastalBtn.textContent = 'Use this point';
+  useCoastalBtn.addEventListener('click', () => {
+    selectDevicePoint(coastal.latitude, coastal.longitude, name);
+    showGeolocationStatus(`Using nearest coastal point: ${name}`);
+  });
+  geolocationStatusDiv.appendChild(useCoastalBtn);
+}
+
+// Treat a device-derived point like a search result, ready for "Save Location"
+function selectDevicePoint(lat, lon, name) {
+  selectedLocation = { latitude: lat, longitude: lon, name: name, timezone: null };
+  locationSearchInput.value = name;
+  setSearchResultsOpen(false);
+}
+
+function showGeolocationStatus(message) {
+  geolocationStatusDiv.textContent = message;
+  geolocationStatusDiv.classList.remove('hidden');
+}
+
+locationSearchInput.addEventListener('focus', showRecentSearches);
+
+// Close the list when focus leaves the search box; the delay lets a click on a result land first
+locationSearchInput.addEventListener('blur', () => {
+  setTimeout(() => setSearchResultsOpen(false), 150);
+});
+
+locationSearchInput.addEventListener('keydown', (e) => {
+  if (searchResultsDiv.classList.contains('hidden')) {
+    if (e.key === 'ArrowDown' && locationSearchInput.value.trim() !== '' && searchListbox.childElementCount > 0) {
+      e.preventDefault();
+      setSearchResultsOpen(true);
+    } else if (e.key === 'ArrowDown') {
+      showRecentSearches();
+    }
+    return;
+  }
+
+  if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+    e.preventDefault();
+    moveSearchHighlight(e.key === 'ArrowDown' ? 1 : -1);
+  } else if (e.key === 'Enter') {
+    const active = searchListbox.querySelector('.search-result-item.active');
+    if (active) {
+      e.preventDefault();
+      active.click();
+    }
+  } else if (e.key === 'Escape') {
+    e.preventDefault();
+    setSearchResultsOpen(false);
+  }
+});
+
 // Toggle manual coordinates
 toggleManualBtn.addEventListener('click', () => {
   manualInputsDiv.classList.toggle('hidden');
+  toggleManualBtn.setAttribute('aria-expanded', String(!manualInputsDiv.classList.contains('hidden')));
   if (!manualInputsDiv.classList.contains('hidden')) {
     toggleManualBtn.textContent = 'Hide manual entry';
   } else {
@@ -131,12 +500,14 @@ toggleManualBtn.addEventListener('click', () => {
 // Save location handler
 saveLocationBtn.addEventListener('click', async () => {
   let lat, lon, locationName;
+  let timezone = null;
 
   // Check if a location was selected from search
   if (selectedLocation) {
     lat = selectedLocation.latitude;
     lon = selectedLocation.longitude;
     locationName = selectedLocation.name;
+    timezone = selectedLocation.timezone;
   } else {
     // Use manual coordinates
     lat = parseFloat(latitudeInput.value);
@@ -155,9 +526,25 @@ saveLocationBtn.addEventListener('click', async () => {
     locationName = null; // Will be fetched via reverse geocoding
   }
 
+  // Published constituents for offline harmonic prediction
+  let harmonicModel = null;
+  if (providerSelect.value === 'harmonic' && constituentsInput.value.trim()) {
+    try {
+      harmonicModel = parseConstituentText(constituentsInput.value);
+    } catch (error) {
+      showError(error.message);
+      return;
+    }
+  }
+
   try {
-    await chrome.storage.sync.set({ latitude: lat, longitude: lon, locationName: locationName });
-    showTideInfo(lat, lon, locationName);
+    const entry = await addLocation(lat, lon, locationName, providerSelect.value, timezone);
+    if (harmonicModel) {
+      entry.harmonicModel = harmonicModel;
+      await persistLocations();
+    }
+    resetLocationSetup();
+    showTideInfo(entry);
   } catch (error) {
     showError('Failed to save location');
   }
@@ -165,89 +552,361 @@ saveLocationBtn.addEventListener('click', async () => {
 
 // Change location handler
 changeLocationBtn.addEventListener('click', () => {
+  resetLocationSetup();
+  showLocationSetup();
+});
+
+// Return to the selected location without adding a new one
+cancelSetupBtn.addEventListener('click', () => {
+  const current = getSelectedLocation();
+  if (current) {
+    resetLocationSetup();
+    showTideInfo(current);
+  }
+});
+
+// Quick switcher between saved locations
+locationSwitcher.addEventListener('change', () => {
+  selectSavedLocation(locationSwitcher.value);
+});
+
+// Tide alert settings (picked up by the background service worker)
+notificationsEnabledInput.addEventListener('change', () => {
+  notificationLeadSelect.disabled = !notificationsEnabledInput.checked;
+  saveSettings({ notificationsEnabled: notificationsEnabledInput.checked });
+});
+
+notificationLeadSelect.addEventListener('change', () => {
+  saveSettings({ notificationLeadMinutes: parseInt(notificationLeadSelect.value, 10) });
+});
+
+// Data source picker and API key for new locations
+providerSelect.addEventListener('change', updateApiKeyField);
+
+apiKeyInput.addEventListener('change', () => {
+  settings.providerApiKeys = { ...settings.providerApiKeys, [providerSelect.value]: apiKeyInput.value.trim() };
+  saveSettings({ providerApiKeys: settings.providerApiKeys });
+});
+
+// Switch between the current tide cards, the multi-day tide table and the
+// side-by-side comparison of saved locations
+// (an ARIA tab list: one tab stop, arrow keys move between the tabs)
+const VIEW_TABS = [
+  { view: 'now', button: viewNowBtn },
+  { view: 'table', button: viewTableBtn },
+  { view: 'compare', button: viewCompareBtn }
+];
+
+VIEW_TABS.forEach(({ view, button }, i) => {
+  button.addEventListener('click', () => setTideView(view));
+  button.addEventListener('keydown', (e) => {
+    let target = null;
+    if (e.key === 'ArrowRight' || e.key === 'ArrowLeft') {
+      target = VIEW_TABS[(i + (e.key === 'ArrowRight' ? 1 : -1) + VIEW_TABS.length) % VIEW_TABS.length];
+    } else if (e.key === 'Home' || e.key === 'End') {
+      target = VIEW_TABS[e.key === 'Home' ? 0 : VIEW_TABS.length - 1];
+    }
+    if (!target) return;
+
+    e.preventDefault();
+    setTideView(target.view);
+    target.button.focus();
+  });
+});
+
+function setTideView(view) {
+  tideDataDiv.classList.toggle('show-table', view === 'table');
+  tideDataDiv.classList.toggle('hidden', view === 'compare');
+  compareViewDiv.classList.toggle('hidden', view !== 'compare');
+  exportIcsBtn.parentElement.classList.toggle('hidden', view === 'compare');
+
+  VIEW_TABS.forEach(tab => {
+    const selected = tab.view === view;
+    tab.button.classList.toggle('active', selected);
+    tab.button.setAttribute('aria-selected', String(selected));
+    tab.button.tabIndex = selected ? 0 : -1;
+  });
+  if (view !== 'compare') {
+    tideDataDiv.setAttribute('aria-labelledby', view === 'table' ? 'view-table' : 'view-now');
+  }
+
+  if (view === 'compare') {
+    renderCompareView();
+  } else if (compareController) {
+    compareController.abort();
+  }
+}
+
+// Export the forecast on screen. The buttons are disabled while there is no
+// sea level series to export (loading, an error, or a response without one)
+function setExportEnabled(enabled) {
+  exportIcsBtn.disabled = !enabled;
+  exportCsvBtn.disabled = !enabled;
+}
+
+exportIcsBtn.addEventListener('click', () => {
+  if (!lastForecast || !hasTideSeries(lastForecast.data)) return;
+
+  const { tides } = analyzeForecast(lastForecast.data, { method: settings.extractionMethod });
+  const calendar = buildTideCalendar(tides, lastForecast.location, { heightUnit: settings.heightUnit });
+  downloadFile(`${exportFileName(lastForecast.location)}.ics`, calendar, 'text/calendar');
+});
+
+exportCsvBtn.addEventListener('click', () => {
+  if (!lastForecast || !hasTideSeries(lastForecast.data)) return;
+
+  const { tides } = analyzeForecast(lastForecast.data, { method: settings.extractionMethod });
+  const csv = buildTideCsv(lastForecast.data.hourly, tides, { timeZone: timeFormat.timeZone });
+  downloadFile(`${exportFileName(lastForecast.location)}.csv`, csv, 'text/csv');
+});
+
+// e.g. "tides-praia-da-rocha"
+function exportFileName(location) {
+  const slug = (location.name || 'location').toLowerCase().normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+  return `tides-${slug || 'location'}`;
+}
+
+function downloadFile(fileName, contents, mimeType) {
+  const url = URL.createObjectURL(new Blob([contents], { type: `${mimeType};charset=utf-8` }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+// React live to settings changed on the options page
+chrome.storage.onChanged.addListener(async (changes, areaName) => {
+  if (areaName !== 'sync' || !Object.keys(changes).some(key => key in SETTINGS_DEFAULTS)) return;
+
+  await loadPopupSettings();
+  if (lastForecast) {
+    renderForecast(lastForecast);
+  }
+});
+
+openOptionsBtn.addEventListener('click', () => {
+  chrome.runtime.openOptionsPage();
+});
+
+// Location timezone vs browser timezone
+useLocationTimezoneInput.addEventListener('change', () => {
+  settings.useLocationTimezone = useLocationTimezoneInput.checked;
+  saveSettings({ useLocationTimezone: settings.useLocationTimezone });
+
+  if (lastForecast) {
+    renderForecast(lastForecast);
+  }
+});
+
+// Forecast horizon
+forecastDaysSelect.addEventListener('change', async () => {
+  settings.forecastDays = parseInt(forecastDaysSelect.value, 10);
+  await saveSettings({ forecastDays: settings.forecastDays });
+
+  const current = getSelectedLocation();
+  if (current) {
+    fetchTideData(current);
+  }
+});
+
+// Offer the horizons the location's provider supports
+function renderForecastDaysOptions(location) {
+  const maxDays = getProvider(location.provider).maxForecastDays;
+  const selectedDays = Math.min(settings.forecastDays, maxDays);
+
+  forecastDaysSelect.innerHTML = '';
+  FORECAST_DAY_OPTIONS.filter(days => days <= maxDays).forEach(days => {
+    const option = document.createElement('option');
+    option.value = days;
+    option.textContent = days === 1 ? '1 day' : `${days} days`;
+    option.selected = days === selectedDays;
+    forecastDaysSelect.appendChild(option);
+  });
+}
+
+function resetLocationSetup() {
   selectedLocation = null;
   locationSearchInput.value = '';
   latitudeInput.value = '';
   longitudeInput.value = '';
-  searchResultsDiv.classList.add('hidden');
+  constituentsInput.value = '';
+  setSearchResultsOpen(false);
   manualInputsDiv.classList.add('hidden');
+  toggleManualBtn.setAttribute('aria-expanded', 'false');
   toggleManualBtn.textContent = 'Or enter coordinates manually';
-  showLocationSetup();
-});
+  geolocationStatusDiv.textContent = '';
+  geolocationStatusDiv.classList.add('hidden');
+}
 
-// Search locations using Open-Meteo Geocoding API
-async function searchLocations(query) {
-  searchResultsDiv.innerHTML = '<div class="search-loading">Searching...</div>';
-  searchResultsDiv.classList.remove('hidden');
+// Search locations using Open-Meteo Geocoding API. Each hit is checked against
+// the marine API and places with sea-level data are listed first
+const SEARCH_RESULT_COUNT = 8;
+let searchController = null;
 
-  try {
-    const url = `https://geocoding-api.open-meteo.com/v1/search?name=${encodeURIComponent(query)}&count=5&language=en&format=json`;
-    const response = await fetch(url);
+// Cancel the search in flight, if any; its results are no longer wanted
+function cancelSearch() {
+  if (searchController) {
+    searchController.abort();
+    searchController = null;
+  }
+}
 
-    if (!response.ok) {
-      throw new Error('Search failed');
-    }
+async function searchLocations(query) {
+  cancelSearch();
+  const controller = new AbortController();
+  searchController = controller;
 
-    const data = await response.json();
+  showSearchMessage('Searching...');
+
+  try {
+    const url = `https://geocoding-api.open-meteo.com/v1/search?name=${encodeURIComponent(query)}&count=${SEARCH_RESULT_COUNT}&language=en&format=json`;
+    const data = await fetchJson(url, { signal: controller.signal, timeoutMs: 8000 });
 
     if (!data.results || data.results.length === 0) {
-      searchResultsDiv.innerHTML = '<div class="search-loading">No locations found</div>';
+      showSearchMessage('No locations found');
       return;
     }
 
-    // Display results
-    searchResultsDiv.innerHTML = '';
-    data.results.forEach(result => {
-      const resultDiv = document.createElement('div');
-      resultDiv.className = 'search-result-item';
+    showSearchMessage('Checking tide data...');
+    const coverage = await Promise.all(data.results.map(result => hasSeaLevelData(result.latitude, result.longitude, { signal: controller.signal })));
+
+    // Coastal first, keeping the geocoder's relevance order within each group
+    const results = data.results
+      .map((result, i) => ({ ...result, coastal: coverage[i] }))
+      .sort((a, b) => Number(b.coastal) - Number(a.coastal));
 
-      const nameDiv = document.createElement('div');
-      nameDiv.className = 'search-result-name';
-      nameDiv.textContent = result.name;
+    renderSearchResults(results);
+  } catch (error) {
+    if (error instanceof RequestCancelledError) return; // Replaced by a newer search
+    showSearchMessage(describeRequestError(error, 'Search failed. Please try again.'));
+  } finally {
+    if (searchController === controller) searchController = null;
+  }
+}
 
-      const detailsDiv = document.createElement('div');
-      detailsDiv.className = 'search-result-details';
-      const details = [result.admin1, result.country].filter(Boolean).join(', ');
-      detailsDiv.textContent = details;
+// Recent searches, shown when the empty search box gets focus
+async function showRecentSearches() {
+  const recent = await loadRecentSearches();
+  if (recent.length === 0 || locationSearchInput.value.trim() !== '') return;
 
-      resultDiv.appendChild(nameDiv);
-      resultDiv.appendChild(detailsDiv);
+  renderSearchResults(recent, 'Recent searches');
+}
 
-      // Click handler
-      resultDiv.addEventListener('click', () => {
-        selectLocation(result);
-      });
+// The results dropdown follows the ARIA combobox pattern: the search box keeps
+// focus and points at the highlighted option with aria-activedescendant
+function setSearchResultsOpen(open) {
+  searchResultsDiv.classList.toggle('hidden', !open);
+  locationSearchInput.setAttribute('aria-expanded', String(open && searchListbox.childElementCount > 0));
+  if (!open) {
+    locationSearchInput.removeAttribute('aria-activedescendant');
+  }
+}
+
+// Progress or error text in place of the results, also announced
+function showSearchMessage(message) {
+  searchResultsHeading.classList.add('hidden');
+  searchListbox.innerHTML = '';
+  searchMessage.textContent = message;
+  searchMessage.classList.remove('hidden');
+  setSearchResultsOpen(true);
+  announce(message);
+}
+
+// List results with a coastal / inland marker; a heading labels the list
+function renderSearchResults(results, heading = null) {
+  searchListbox.innerHTML = '';
+  searchMessage.classList.add('hidden');
+
+  searchResultsHeading.textContent = heading || '';
+  searchResultsHeading.classList.toggle('hidden', !heading);
+  searchListbox.setAttribute('aria-label', heading || 'Search results');
+
+  results.forEach((result, i) => {
+    const resultDiv = document.createElement('div');
+    resultDiv.className = 'search-result-item';
+    resultDiv.id = `search-option-${i}`;
+    resultDiv.setAttribute('role', 'option');
+    resultDiv.setAttribute('aria-selected', 'false');
+
+    const nameDiv = document.createElement('div');
+    nameDiv.className = 'search-result-name';
+    nameDiv.textContent = result.name;
+
+    if (result.coastal != null) {
+      const marker = document.createElement('span');
+      marker.className = `search-result-marker ${result.coastal ? 'coastal' : 'inland'}`;
+      marker.textContent = result.coastal ? 'Coastal' : 'Inland, no tide data';
+      nameDiv.appendChild(marker);
+    }
 
-      searchResultsDiv.appendChild(resultDiv);
+    const detailsDiv = document.createElement('div');
+    detailsDiv.className = 'search-result-details';
+    const details = [result.admin1, result.country].filter(Boolean).join(', ');
+    detailsDiv.textContent = details;
+
+    resultDiv.appendChild(nameDiv);
+    resultDiv.appendChild(detailsDiv);
+
+    // Click handler
+    resultDiv.addEventListener('click', () => {
+      selectLocation(result);
     });
-  } catch (error) {
-    searchResultsDiv.innerHTML = '<div class="search-loading">Search failed. Please try again.</div>';
+
+    searchListbox.appendChild(resultDiv);
+  });
+
+  setSearchResultsOpen(true);
+
+  const coastalCount = results.filter(result => result.coastal).length;
+  if (heading) {
+    announce(`${results.length} ${heading.toLowerCase()}, use the arrow keys to choose`);
+  } else {
+    announce(`${results.length} location${results.length === 1 ? '' : 's'} found, ${coastalCount} with tide data, use the arrow keys to choose`);
   }
 }
 
+// Keyboard navigation of the results list: arrows move, Enter picks, Escape closes
+function moveSearchHighlight(step) {
+  const items = [...searchListbox.querySelectorAll('.search-result-item')];
+  if (items.length === 0) return;
+
+  const current = items.findIndex(item => item.classList.contains('active'));
+  const next = current === -1
+    ? (step > 0 ? 0 : items.length - 1)
+    : (current + step + items.length) % items.length;
+
+  items.forEach((item, i) => {
+    item.classList.toggle('active', i === next);
+    item.setAttribute('aria-selected', String(i === next));
+  });
+  locationSearchInput.setAttribute('aria-activedescendant', items[next].id);
+  items[next].scrollIntoView({ block: 'nearest' });
+}
+
 // Handle location selection from search results
 function selectLocation(result) {
   selectedLocation = {
     latitude: result.latitude,
     longitude: result.longitude,
-    name: `${result.name}, ${result.country}`
+    name: result.country ? `${result.name}, ${result.country}` : result.name,
+    timezone: isValidTimeZone(result.timezone) ? result.timezone : null
   };
 
   locationSearchInput.value = selectedLocation.name;
-  searchResultsDiv.classList.add('hidden');
+  setSearchResultsOpen(false);
+  addRecentSearch(result);
+  announce(`Selected ${selectedLocation.name}`);
 }
 
 // Reverse geocode coordinates to location name using BigDataCloud
 async function reverseGeocode(lat, lon) {
   try {
     const url = `https://api.bigdatacloud.net/data/reverse-geocode-client?latitude=${lat}&longitude=${lon}&localityLanguage=en`;
-    const response = await fetch(url);
-
-    if (!response.ok) {
-      throw new Error('Reverse geocoding failed');
-    }
-
-    const data = await response.json();
+    const data = await fetchJson(url, { timeoutMs: 8000 });
 
     // Build location name from available data
     const parts = [];
@@ -255,440 +914,1140 @@ async function reverseGeocode(lat, lon) {
     if (data.principalSubdivision) parts.push(data.principalSubdivision);
     if (data.countryName) parts.push(data.countryName);
 
-    return parts.length > 0 ? parts.join(', ') : `${lat.toFixed(4)}°, ${lon.toFixed(4)}°`;
+    return parts.length > 0 ? parts.join(', ') : formatCoordinates(lat, lon);
   } catch (error) {
     console.error('Reverse geocoding error:', error);
-    return `${lat.toFixed(4)}°, ${lon.toFixed(4)}°`;
+    return formatCoordinates(lat, lon);
   }
 }
 
-// Fetch tide data from Open-Meteo Marine API
-async function fetchTideData(lat, lon) {
+// Fetch tide data from the location's provider. Starting a new fetch cancels
+// the previous one, so a slow response for an earlier location can't replace it
+let tideFetchController = null;
+
+async function fetchTideData(location) {
+  if (tideFetchController) {
+    tideFetchController.abort();
+  }
+  const controller = new AbortController();
+  tideFetchController = controller;
+
   tideDataDiv.innerHTML = '<div class="loading">Loading tide data...</div>';
+  tideDataDiv.setAttribute('aria-busy', 'true');
+  setExportEnabled(false);
 
+  let data;
   try {
-    // Open-Meteo Marine API - using sea_level_height_msl for REAL tide data
-    // Using GMT0 timezone to get consistent ISO timestamps with timezone info
-    const url = `https://marine-api.open-meteo.com/v1/marine?latitude=${lat}&longitude=${lon}&hourly=wave_height,sea_level_height_msl&timezone=GMT&forecast_days=2`;
+    data = await fetchForecast(location, settings, { signal: controller.signal });
+  } catch (error) {
+    if (error instanceof RequestCancelledError) return;
 
-    const response = await fetch(url);
+    if (error instanceof ProviderError) {
+      showTideDataError(error.message);
+      return;
+    }
 
-    if (!response.ok) {
-      throw new Error('Failed to fetch tide data');
+    // Offline or API down: fall back to the last forecast while it still covers now.
+    // Each await can outlast a switch to another location, so check again after it
+    const cached = await loadCachedForecast(location);
+    if (controller.signal.aborted) return;
+    if (cached) {
+      renderForecast({ location, data: cached.data, fetchedAt: cached.fetchedAt, predicted: false });
+      return;
     }
 
-    const data = await response.json();
-    displayTideData(data);
-  } catch (error) {
-    tideDataDiv.innerHTML = '<div class="error">Failed to load tide data. Please check your internet connection and try again.</div>';
-  }
-}
-
-// DIAGNOSTIC FUNCTION: Analyze API data quality
-function analyzeTideData(seaLevels, times) {
-  console.group('📊 TIDE DATA QUALITY ANALYSIS');
-
-  // 1. Basic statistics
-  const validLevels = seaLevels.filter(v => v != null);
-  const min = Math.min(...validLevels);
-  const max = Math.max(...validLevels);
-  const range = max - min;
-  const avg = validLevels.reduce((sum, v) => sum + v, 0) / validLevels.length;
-
-  console.log('📈 Basic Statistics:');
-  console.log(`  Min: ${min.toFixed(3)} m`);
-  console.log(`  Max: ${max.toFixed(3)} m`);
-  console.log(`  Range: ${range.toFixed(3)} m`);
-  console.log(`  Average: ${avg.toFixed(3)} m`);
-  console.log(`  Tidal range: ${range.toFixed(3)} m (${range < 0.5 ? 'SMALL - microtidal' : range < 2 ? 'MEDIUM - mesotidal' : 'LARGE - macrotidal'})`);
-
-  // 2. Rate of change analysis (first derivative)
-  console.log('\n📉 Rate of Change Analysis:');
-  const changes = [];
-  for (let i = 1; i < seaLevels.length; i++) {
-    if (seaLevels[i] != null && seaLevels[i-1] != null) {
-      changes.push(Math.abs(seaLevels[i] - seaLevels[i-1]));
+    // Cache expired too: predict from the constituents fitted to the last download,
+    // while that is recent enough to trust
+    const model = await loadHarmonicModel(location.id);
+    if (controller.signal.aborted) return;
+    const predicted = model ? predictOfflineForecast(model, settings.forecastDays) : null;
+    if (predicted) {
+      renderForecast({ location, data: predicted, fetchedAt: model.fittedAt, predicted: true });
+      return;
     }
+
+    showTideDataError(describeRequestError(error, 'Failed to load tide data. Please check your internet connection and try again.'));
+    return;
+  } finally {
+    if (tideFetchController === controller) tideFetchController = null;
   }
 
-  const maxChange = Math.max(...changes);
-  const avgChange = changes.reduce((sum, v) => sum + v, 0) / changes.length;
-  console.log(`  Max hourly change: ${maxChange.toFixed(4)} m/hour`);
-  console.log(`  Avg hourly change: ${avgChange.toFixed(4)} m/hour`);
-  console.log(`  Data smoothness: ${maxChange < 0.2 ? '✅ SMOOTH' : '⚠️ NOISY'}`);
+  await resolveLocationTimezone(location, data.timezone);
+  if (controller.signal.aborted) return; // Another location was picked meanwhile
 
-  // 3. Detect all local peaks with their characteristics
-  console.log('\n🔍 All Detected Peaks (raw 3-point detection):');
-  const allPeaks = [];
-  for (let i = 1; i < seaLevels.length - 1; i++) {
-    const y1 = seaLevels[i - 1];
-    const y2 = seaLevels[i];
-    const y3 = seaLevels[i + 1];
+  renderForecast({ location, data, fetchedAt: null, predicted: false });
+  await saveCachedForecast(location, data);
+}
 
-    if (y1 == null || y2 == null || y3 == null) continue;
+function showTideDataError(message) {
+  setExportEnabled(false);
+  tideDataDiv.innerHTML = '';
+  tideDataDiv.setAttribute('aria-busy', 'false');
+  const errorDiv = document.createElement('div');
+  errorDiv.className = 'error';
+  errorDiv.setAttribute('role', 'alert');
+  errorDiv.textContent = message;
+  tideDataDiv.appendChild(errorDiv);
+}
 
-    const isHigh = y2 > y1 && y2 > y3;
-    const isLow = y2 < y1 && y2 < y3;
+// User-facing message for a failed request (see http.js error classes)
+function describeRequestError(error, fallback) {
+  if (error instanceof TimeoutError) {
+    return 'The service took too long to respond. Please try again in a moment.';
+  }
+  if (error instanceof NetworkError) {
+    return 'Could not reach the service. Please check your internet connection and try again.';
+  }
+  if (error instanceof InvalidResponseError) {
+    return 'The service sent a response that could not be read. Please try again later.';
+  }
+  if (error instanceof HttpError && error.status === 429) {
+    return 'Too many requests to the service. Please wait a minute and try again.';
+  }
+  if (error instanceof HttpError && error.status >= 500) {
+    return 'The service is having problems right now. Please try again later.';
+  }
+  return fallback;
+}
 
-    if (isHigh || isLow) {
-      const prominence = Math.abs(y2 - ((y1 + y3) / 2));
-      const time = new Date(times[i]);
+// Fill in the location's timezone from the forecast, or look it up, when it wasn't known on save
+async function resolveLocationTimezone(location, reportedTimezone) {
+  if (location.timezone) return;
 
-      allPeaks.push({
-        type: isHigh ? 'HIGH' : 'LOW',
-        time: time,
-        height: y2.toFixed(3),
-        prominence: prominence.toFixed(4),
-        index: i
-      });
-    }
-  }
+  const timezone = isValidTimeZone(reportedTimezone)
+    ? reportedTimezone
+    : await lookupTimezone(location.latitude, location.longitude);
 
-  console.table(allPeaks.map(p => ({
-    Type: p.type,
-    Time: p.time.toLocaleTimeString('en-US', {hour: '2-digit', minute: '2-digit'}),
-    Height: p.height + ' m',
-    Prominence: p.prominence + ' m',
-    Index: p.index
-  })));
-
-  // 4. Check for consecutive same-type peaks
-  console.log('\n⚠️ Alternation Check:');
-  let consecutiveIssues = 0;
-  for (let i = 1; i < allPeaks.length; i++) {
-    if (allPeaks[i].type === allPeaks[i-1].type) {
-      const timeDiff = (allPeaks[i].time - allPeaks[i-1].time) / (1000 * 60 * 60);
-      console.warn(`  ❌ Consecutive ${allPeaks[i].type} at index ${allPeaks[i-1].index} and ${allPeaks[i].index} (${timeDiff.toFixed(1)} hours apart)`);
-      consecutiveIssues++;
-    }
-  }
-  if (consecutiveIssues === 0) {
-    console.log('  ✅ All peaks properly alternate');
-  } else {
-    console.warn(`  ⚠️ Found ${consecutiveIssues} consecutive same-type peak(s)`);
+  if (timezone) {
+    location.timezone = timezone;
+    await persistLocations();
   }
+}
 
-  // 5. Time separation analysis
-  console.log('\n⏱️ Time Separation Between Peaks:');
-  for (let i = 1; i < allPeaks.length; i++) {
-    const timeDiff = (allPeaks[i].time - allPeaks[i-1].time) / (1000 * 60 * 60);
-    const expected = timeDiff >= 5.5 && timeDiff <= 13;
-    console.log(`  ${allPeaks[i-1].type} → ${allPeaks[i].type}: ${timeDiff.toFixed(2)} hours ${expected ? '✅' : '⚠️ UNUSUAL'}`);
+// Look up a location's timezone using the Open-Meteo Forecast API
+async function lookupTimezone(lat, lon) {
+  try {
+    const url = `https://api.open-meteo.com/v1/forecast?latitude=${lat}&longitude=${lon}&timezone=auto&forecast_days=1`;
+    const data = await fetchJson(url, { timeoutMs: 8000 });
+    return isValidTimeZone(data.timezone) ? data.timezone : null;
+  } catch (error) {
+    console.error('Timezone lookup error:', error);
+    return null;
   }
+}
+
+// Show a forecast with times in the location's timezone or the browser's
+function renderForecast(forecast) {
+  lastForecast = forecast;
 
-  // 6. Export raw data for external analysis
-  console.log('\n💾 CSV Export (copy for external analysis):');
-  const csvHeader = 'Time,Sea_Level_m,Index';
-  const csvRows = times.map((t, i) => `${t},${seaLevels[i] != null ? seaLevels[i].toFixed(4) : 'null'},${i}`);
-  const csv = [csvHeader, ...csvRows].join('\n');
-  console.log(csv);
+  const timeZone = settings.useLocationTimezone && forecast.location.timezone ? forecast.location.timezone : undefined;
+  timeFormat = createTimeFormatter({ timeZone, hour12: getHour12(settings.clockFormat) });
+  timezoneNameSpan.textContent = forecast.location.timezone ? `(${forecast.location.timezone})` : '';
 
-  console.groupEnd();
+  setExportEnabled(hasTideSeries(forecast.data));
+  displayTideData(forecast.data, forecast.fetchedAt ? forecast : null);
 }
 
-function displayTideData(data) {
-  if (!data.hourly || !data.hourly.time || !data.hourly.sea_level_height_msl) {
-    tideDataDiv.innerHTML = '<div class="error">No tide data available for this location</div>';
+// Whether a normalized forecast has an hourly sea level series to show and export
+function hasTideSeries(data) {
+  return Boolean(data && data.hourly && data.hourly.time && data.hourly.sea_level_height_msl);
+}
+
+// staleness ({ fetchedAt, predicted }) is set when showing a cached forecast or an
+// offline harmonic prediction, and adds a badge saying how old the data is.
+// Everything is built as DOM nodes, so values from the APIs are never parsed as markup
+function displayTideData(data, staleness = null) {
+  if (!hasTideSeries(data)) {
+    showTideDataError('No tide data available for this location');
     return;
   }
 
   const times = data.hourly.time;
   const seaLevels = data.hourly.sea_level_height_msl;
 
-  if (DEBUG_MODE) {
+  if (isDiagnosticsEnabled()) {
     // Debug: Log data
     console.log('Total data points:', seaLevels.length);
     console.log('First 12 hours sea levels:', seaLevels.slice(0, 12));
     console.log('First time string:', times[0]);
-
-    // DIAGNOSTIC LOGGING: Analyze data quality
-    analyzeTideData(seaLevels, times);
   }
 
-  // Find current time index
   const now = new Date();
-  let currentIndex = 0;
-  for (let i = 0; i < times.length; i++) {
-    const timeDate = new Date(times[i]);
-    if (timeDate <= now) {
-      currentIndex = i;
-    } else {
-      break;
-    }
+
+  // Use the provider's published extremes, or find precise tide times with the chosen method
+  const { tides: preciseTides, regime, quality } = analyzeForecast(data, { method: settings.extractionMethod });
+
+  // Sea level and rate of change at the current minute, slack near a HIGH/LOW
+  const current = getCurrentLevel(data.hourly, preciseTides, now);
+
+  if (isDiagnosticsEnabled()) {
+    console.log('Current level:', current);
+    console.log('Precise tides:', preciseTides);
+    console.log('Tide regime:', regime);
+    console.log('Data quality:', quality);
   }
 
-  if (DEBUG_MODE) {
-    console.log('Current index:', currentIndex);
+  // Find next high and low from current time, and the most recent high or low tide
+  const { nextHigh, nextLow, lastTide } = getNextTides(preciseTides, now);
+
+  if (isDiagnosticsEnabled()) {
+    console.log('Next high:', nextHigh);
+    console.log('Next low:', nextLow);
+    console.log('Last tide:', lastTide);
   }
 
-  // Determine if tide is rising or falling
-  const currentHeight = seaLevels[currentIndex];
-  const nextHeight = seaLevels[currentIndex + 1] || currentHeight;
+  const location = lastForecast.location;
 
-  const isRising = nextHeight > currentHeight;
-  const tideStatus = isRising ? '📈 Rising' : '📉 Falling';
+  // State of tide between the last extreme and the next opposite one
+  const tideState = getTideState(preciseTides, now, current ? current.height : null);
 
-  // Find precise tide times using quadratic interpolation
-  const preciseTides = getPreciseTides({ sea_level_height_msl: seaLevels, time: times });
+  const nowView = createTextElement('div', 'now-view');
+  nowView.appendChild(renderCurrentTideCard(current, lastTide, regime, tideState, location, now));
+  nowView.appendChild(renderQualityPanel(quality, regime));
+  if (nextHigh) nowView.appendChild(renderNextTideCard(nextHigh, quality));
+  if (nextLow) nowView.appendChild(renderNextTideCard(nextLow, quality));
 
-  if (DEBUG_MODE) {
-    console.log('Precise tides:', preciseTides);
+  tideDataDiv.replaceChildren();
+
+  if (staleness && staleness.predicted) {
+    tideDataDiv.appendChild(createTextElement('div', 'stale-badge', `Offline — harmonic prediction fitted to data from ${getTimeAgo(staleness.fetchedAt)}`));
+  } else if (staleness) {
+    tideDataDiv.appendChild(createTextElement('div', 'stale-badge', `Offline — showing data from ${getTimeAgo(staleness.fetchedAt)}`));
   }
 
-  // Find next high and low from current time
-  const nextHigh = preciseTides.find(t => t.type === 'HIGH' && new Date(t.time) > now);
-  const nextLow = preciseTides.find(t => t.type === 'LOW' && new Date(t.time) > now);
+  const accuracyWarning = describePredictionAccuracy(data.prediction);
+  if (accuracyWarning) {
+    tideDataDiv.appendChild(createTextElement('div', 'accuracy-warning', accuracyWarning));
+  }
 
-  // Find most recent high or low tide
-  const pastTides = preciseTides.filter(t => new Date(t.time) <= now);
-  const lastTide = pastTides.length > 0 ? pastTides[pastTides.length - 1] : null;
+  tideDataDiv.appendChild(nowView);
 
-  if (DEBUG_MODE) {
-    console.log('Next high:', nextHigh);
-    console.log('Next low:', nextLow);
-    console.log('Last tide:', lastTide);
+  renderTideChart(nowView, times, seaLevels, preciseTides, now, location);
+  renderConditions(nowView, data.conditions, now);
+  renderActivityWindows(nowView, data, preciseTides, location, now);
+  renderTideTable(tideDataDiv, preciseTides, location, quality);
+
+  // Announce freshly loaded data, not re-renders after a settings change
+  if (tideDataDiv.getAttribute('aria-busy') === 'true') {
+    tideDataDiv.setAttribute('aria-busy', 'false');
+    const parts = [`Tides for ${location.name || formatCoordinates(location.latitude, location.longitude)}: ${describeTideStatus(current)}`];
+    if (nextHigh) parts.push(`next high ${getTimeUntil(new Date(nextHigh.time))}`);
+    if (nextLow) parts.push(`next low ${getTimeUntil(new Date(nextLow.time))}`);
+    announce(parts.join(', '));
   }
+}
+
+// Element with a class and plain-text content
+function createTextElement(tag, className = null, text = null) {
+  const element = document.createElement(tag);
+  if (className) element.className = className;
+  if (text != null) element.textContent = text;
+  return element;
+}
+
+// Decorative symbols next to the tide state; the state is always spelled out beside them
+const TREND_SYMBOLS = { rising: '↑', falling: '↓', slack: '≈' };
+
+// e.g. "Rising", "Slack water (high)"
+function describeTideStatus(current) {
+  if (!current) return 'N/A';
+  if (current.state === 'slack') return `Slack water (${current.slackTide.type === 'HIGH' ? 'high' : 'low'})`;
+  return current.state === 'rising' ? 'Rising' : 'Falling';
+}
+
+// Warning for a harmonic prediction from a fitted model (see predictOfflineForecast):
+// which constituents were estimated and where the prediction stops. Null for
+// published constituents predicted in full
+function describePredictionAccuracy(prediction) {
+  if (!prediction || (prediction.inferred.length === 0 && !prediction.truncated)) return null;
+
+  const parts = [];
+  if (prediction.fitDays != null) {
+    parts.push(`Approximate tides: fitted to ${Math.round(prediction.fitDays)} days of data`);
+  }
+  if (prediction.inferred.length > 0) {
+    parts.push(`${prediction.inferred.join(', ')} estimated, so heights can be off by several tenths of a metre and times by up to an hour`);
+  }
+  if (prediction.truncated) {
+    parts.push(`predictions stop ${timeFormat.weekdayTime(new Date(prediction.endMs))}`);
+  }
+  return parts.join('; ');
+}
+
+// Current state, sea level and rate, last extreme, regime, sun and moon, and the gauge
+function renderCurrentTideCard(current, lastTide, regime, tideState, location, now) {
+  const card = createTextElement('div', 'tide-item current');
+  card.appendChild(createTextElement('div', 'tide-label', 'Current Tide'));
+
+  const value = createTextElement('div', 'tide-value');
+  if (current) {
+    const symbol = createTextElement('span', `trend-icon ${current.state}`, TREND_SYMBOLS[current.state]);
+    symbol.setAttribute('aria-hidden', 'true');
+    value.appendChild(symbol);
+  }
+  value.appendChild(document.createTextNode(describeTideStatus(current)));
+  card.appendChild(value);
+
+  const details = createTextElement('div', 'tide-time');
+  details.appendChild(createTextElement('div', null, current
+    ? `Sea Level: ${formatHeight(current.height, settings.heightUnit)} (${formatRate(current.rate, settings.heightUnit)})`
+    : 'Sea Level: N/A'));
 
-  // Build current tide description
-  let currentTideInfo = `Sea Level: ${currentHeight ? currentHeight.toFixed(2) + ' m' : 'N/A'}`;
   if (lastTide) {
-    const lastTideTime = new Date(lastTide.time);
-    const formattedLastTime = lastTideTime.toLocaleTimeString('en-US', {
-      hour: '2-digit',
-      minute: '2-digit'
-    });
-    const tideType = lastTide.type === 'HIGH' ? 'High' : 'Low';
-    currentTideInfo += `<br>Last <strong>${tideType}</strong> Tide at ${formattedLastTime}`;
-  }
-
-  let html = `
-    <div class="tide-item current">
-      <div class="tide-label">Current Tide</div>
-      <div class="tide-value">${tideStatus}</div>
-      <div class="tide-time">${currentTideInfo}</div>
-    </div>
-  `;
-
-  if (nextHigh) {
-    const highTime = new Date(nextHigh.time);
-    const timeUntil = getTimeUntil(highTime);
-    const formattedTime = highTime.toLocaleTimeString('en-US', {
-      hour: '2-digit',
-      minute: '2-digit',
-      timeZoneName: 'short'
-    });
+    const line = document.createElement('div');
+    line.append('Last ', createTextElement('strong', null, lastTide.type === 'HIGH' ? 'High' : 'Low'), ` Tide at ${timeFormat.time(new Date(lastTide.time))}`);
+    details.appendChild(line);
+  }
 
-    html += `
-      <div class="tide-item high">
-        <div class="tide-label">Next High Tide</div>
-        <div class="tide-value">${timeUntil}</div>
-        <div class="tide-time">at ${formattedTime} (${nextHigh.height} m)</div>
-      </div>
-    `;
-  }
-
-  if (nextLow) {
-    const lowTime = new Date(nextLow.time);
-    const timeUntil = getTimeUntil(lowTime);
-    const formattedTime = lowTime.toLocaleTimeString('en-US', {
-      hour: '2-digit',
-      minute: '2-digit',
-      timeZoneName: 'short'
-    });
+  details.appendChild(createTextElement('div', 'tide-regime', `${regime.label} tides`));
 
-    html += `
-      <div class="tide-item low">
-        <div class="tide-label">Next Low Tide</div>
-        <div class="tide-value">${timeUntil}</div>
-        <div class="tide-time">at ${formattedTime} (${nextLow.height} m)</div>
-      </div>
-    `;
+  // Sun and moon at the location
+  const sunTimes = getNextSunTimes(now.getTime(), location.latitude, location.longitude);
+  const moon = getMoonPhase(now.getTime());
+  const sunParts = [];
+  if (sunTimes.sunrise) sunParts.push(`Sunrise ${timeFormat.time(new Date(sunTimes.sunrise))}`);
+  if (sunTimes.sunset) sunParts.push(`Sunset ${timeFormat.time(new Date(sunTimes.sunset))}`);
+  sunParts.push(`${moon.name} (${Math.round(moon.illumination * 100)}% lit)`);
+  details.appendChild(createTextElement('div', 'tide-regime', sunParts.join(' · ')));
+
+  card.appendChild(details);
+
+  if (tideState) {
+    card.appendChild(renderTideGauge(tideState));
   }
 
-  tideDataDiv.innerHTML = html;
+  return card;
 }
 
-// Function to find precise high/low tides using quadratic interpolation
-function getPreciseTides(hourlyData) {
-  const seaLevels = hourlyData.sea_level_height_msl;
-  const times = hourlyData.time;
-  const candidates = [];
+// Card for the next HIGH or LOW: time until, clock time and height
+function renderNextTideCard(tide, quality) {
+  const isHigh = tide.type === 'HIGH';
+  const time = new Date(tide.time);
 
-  // STEP 1: Find all potential peaks/troughs with quadratic interpolation
-  for (let i = 1; i < seaLevels.length - 1; i++) {
-    const y1 = seaLevels[i - 1]; // Previous hour
-    const y2 = seaLevels[i];     // Current hour (The peak candidate)
-    const y3 = seaLevels[i + 1]; // Next hour
+  const card = createTextElement('div', `tide-item ${isHigh ? 'high' : 'low'}`);
+  card.appendChild(createTextElement('div', 'tide-label', `Next ${isHigh ? 'High' : 'Low'} Tide${tide.label ? ` · ${formatTideLabel(tide.label)}` : ''}`));
+  card.appendChild(createTextElement('div', 'tide-value', getTimeUntil(time)));
+  card.appendChild(createTextElement('div', 'tide-time',
+    `at ${timeFormat.time(time, { withZone: true })}${formatUncertainty(tide)} (${formatHeight(tide.height, settings.heightUnit)})`));
 
-    // Skip null/undefined values
-    if (y1 == null || y2 == null || y3 == null) continue;
+  const warning = renderEventWarning(quality, tide);
+  if (warning) card.appendChild(warning);
 
-    // 1. Identify a Peak (High Tide) or Trough (Low Tide)
-    const isHigh = y2 > y1 && y2 > y3;
-    const isLow = y2 < y1 && y2 < y3;
+  return card;
+}
 
-    if (isHigh || isLow) {
-      // Calculate prominence (how strong this peak is)
-      const prominence = Math.abs(y2 - ((y1 + y3) / 2));
+const CONFIDENCE_LABELS = { high: 'High', medium: 'Medium', low: 'Low' };
+
+// Data confidence indicator with an expandable report: range class, smoothness,
+// regime and each issue found in the data or the detected events
+function renderQualityPanel(quality, regime) {
+  const panel = document.createElement('details');
+  panel.className = `quality-panel ${quality.confidence}`;
+
+  const summary = document.createElement('summary');
+  const level = document.createElement('span');
+  level.className = 'quality-level';
+  level.textContent = `Data confidence: ${CONFIDENCE_LABELS[quality.confidence]}`;
+  summary.appendChild(level);
+
+  const count = document.createElement('span');
+  count.className = 'quality-count';
+  count.textContent = quality.issues.length === 0
+    ? 'No issues found'
+    : `${quality.issues.length} issue${quality.issues.length === 1 ? '' : 's'}`;
+  summary.appendChild(count);
+  panel.appendChild(summary);
+
+  const facts = [
+    `Tidal range: ${formatHeight(quality.range.metres, settings.heightUnit)} (${quality.range.rangeClass.label.toLowerCase()})`,
+    `Curve: ${quality.smoothness.smooth ? 'smooth' : 'irregular'}, at most ${formatHeight(quality.smoothness.maxChange, settings.heightUnit)} per hour`,
+    `Regime: ${regime.label}${regime.formFactor != null ? ` (form factor ${regime.formFactor.toFixed(2)})` : ''}`
+  ];
+
+  const list = document.createElement('ul');
+  list.className = 'quality-details';
+  facts.forEach(text => {
+    const item = document.createElement('li');
+    item.textContent = text;
+    list.appendChild(item);
+  });
+
+  quality.issues.forEach(issue => {
+    const item = document.createElement('li');
+    item.className = `quality-issue ${issue.severity}`;
+    const affected = issue.eventTimes.length > 0
+      ? ` (${issue.eventTimes.map(timeMs => timeFormat.weekdayTime(new Date(timeMs))).join(', ')})`
+      : '';
+    item.textContent = `${issue.message}${affected}`;
+    list.appendChild(item);
+  });
+
+  panel.appendChild(list);
+  return panel;
+}
 
-      // 2. Apply Quadratic Interpolation to find the exact peak offset
-      // Formula: offset = (y1 - y3) / (2 * (y1 - 2*y2 + y3))
-      // This gives us the fraction of an hour (-0.5 to +0.5) where the true peak lies
-      const divisor = 2 * (y1 - 2 * y2 + y3);
-      let offset = 0;
+// Warning line for a tide card whose event is affected by a data-quality issue
+function renderEventWarning(quality, tide) {
+  const issues = getEventIssues(quality, tide);
+  if (issues.length === 0) return null;
 
-      if (divisor !== 0) {
-        offset = (y1 - y3) / divisor;
-      }
+  const severity = issues.some(issue => issue.severity === 'major') ? 'major' : 'minor';
+  const warning = createTextElement('div', `quality-warning ${severity}`);
+  warning.appendChild(createWarningSymbol());
+  warning.append(issues.map(issue => issue.message).join('. '));
+  return warning;
+}
 
-      // 3. Calculate the exact time
-      // The 'time' array is usually ISO strings. We treat 'i' as the hour index.
-      const baseTime = new Date(times[i]).getTime();
-      const offsetMilliseconds = offset * 60 * 60 * 1000; // Convert fraction of hour to ms
-      const preciseTime = new Date(baseTime + offsetMilliseconds);
-
-      // 4. Calculate precise height (optional, fits parabola to peak)
-      // Height = y2 - 0.25 * (y1 - y3) * offset
-      const preciseHeight = y2 - 0.25 * (y1 - y3) * offset;
-
-      candidates.push({
-        type: isHigh ? 'HIGH' : 'LOW',
-        time: preciseTime.toISOString(), // Precise minute!
-        timeMs: preciseTime.getTime(),
-        height: preciseHeight.toFixed(2),
-        prominence: prominence,
-        index: i
-      });
-    }
-  }
+// "⚠" for sighted users, "Warning:" for screen readers
+function createWarningSymbol() {
+  const fragment = document.createDocumentFragment();
+  const symbol = createTextElement('span', 'warning-symbol', '⚠ ');
+  symbol.setAttribute('aria-hidden', 'true');
+  fragment.append(symbol, createTextElement('span', 'visually-hidden', 'Warning: '));
+  return fragment;
+}
+
+// State-of-tide gauge: how far through the flood or ebb, and the rule-of-twelfths
+// change expected over the coming hour. The bar repeats the text, so it is hidden
+// from screen readers
+function renderTideGauge(state) {
+  const percent = Math.round(state.fraction * 100);
+  const nextType = state.to.type === 'HIGH' ? 'high' : 'low';
 
-  // STEP 2: Filter candidates using minimum time separation
-  const filteredTides = filterByTimeSeparation(candidates);
+  const gauge = createTextElement('div', 'tide-gauge');
 
-  // STEP 3: Post-process to ensure alternation (safety net)
-  const validatedTides = enforceAlternation(filteredTides);
+  const bar = createTextElement('div', `tide-gauge-bar ${state.direction}`);
+  bar.setAttribute('aria-hidden', 'true');
+  const fill = createTextElement('div', 'tide-gauge-fill');
+  fill.style.width = `${percent}%`;
+  bar.appendChild(fill);
+  gauge.appendChild(bar);
 
-  // STEP 4: Validate final results and warn if issues found
-  validateTideSequence(validatedTides);
+  gauge.appendChild(createTextElement('div', 'tide-gauge-text',
+    `${formatDuration(state.elapsedMs)} into the ${state.direction} · ${percent}% ${state.direction === 'flood' ? 'up' : 'down'} · ${formatDuration(state.remainingMs)} to ${nextType}`));
+  gauge.appendChild(createTextElement('div', 'tide-gauge-text', `Next hour: ${formatSignedHeight(state.nextHourChange)} (rule of twelfths)`));
 
-  return validatedTides;
+  return gauge;
 }
 
-// Helper function: Filter tides by minimum time separation
-function filterByTimeSeparation(candidates) {
-  if (candidates.length === 0) return [];
+// e.g. "2h 05m"
+function formatDuration(ms) {
+  const totalMinutes = Math.round(ms / (60 * 1000));
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+}
+
+function formatSignedHeight(metres) {
+  const text = formatHeight(Math.abs(metres), settings.heightUnit);
+  if (parseFloat(text) === 0) return text;
+  return `${metres > 0 ? '+' : '−'}${text}`;
+}
 
-  const filtered = [candidates[0]]; // Always include first candidate
+// " ±8 min" timing uncertainty for events found by the spline method
+function formatUncertainty(tide) {
+  if (tide.uncertaintyMinutes == null) return '';
+  return ` ±${Math.max(tide.uncertaintyMinutes, 1)} min`;
+}
 
-  for (let i = 1; i < candidates.length; i++) {
-    const current = candidates[i];
-    const last = filtered[filtered.length - 1];
+// Build the multi-day tide table: every HIGH/LOW grouped by local day, with
+// the tidal range since the previous extreme. Days are labelled spring or neap
+// from the moon phase and the day's range; events after dark are shaded and
+// events affected by a data-quality issue are flagged
+function renderTideTable(container, tides, location, quality = null) {
+  const tableView = document.createElement('div');
+  tableView.className = 'table-view';
 
-    const timeDiff = current.timeMs - last.timeMs;
+  if (tides.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'loading';
+    empty.textContent = 'No high or low tides found in this forecast';
+    tableView.appendChild(empty);
+    container.appendChild(tableView);
+    return;
+  }
 
-    // Check if enough time has passed since last tide
-    if (timeDiff >= TIDAL_CONSTANTS.MIN_TIDE_SEPARATION_MS) {
-      filtered.push(current);
-    } else {
-      // If within minimum separation, keep the more prominent peak
-      console.warn(`⚠️ Filtering: ${current.type} at index ${current.index} too close to ${last.type} at index ${last.index} (${(timeDiff / (1000 * 60 * 60)).toFixed(1)}h apart)`);
-      if (current.prominence > last.prominence) {
-        console.log(`   → Replacing with more prominent peak`);
-        filtered[filtered.length - 1] = current;
-      } else {
-        console.log(`   → Keeping existing peak`);
+  // Each day's range (highest minus lowest event), for spring/neap labelling
+  const dayHeights = new Map();
+  tides.forEach(tide => {
+    const key = timeFormat.dayKey(new Date(tide.time));
+    if (!dayHeights.has(key)) dayHeights.set(key, []);
+    dayHeights.get(key).push(parseFloat(tide.height));
+  });
+  const dayRanges = new Map();
+  dayHeights.forEach((heights, key) => {
+    if (heights.length > 1) dayRanges.set(key, Math.max(...heights) - Math.min(...heights));
+  });
+  const averageRange = dayRanges.size > 2
+    ? [...dayRanges.values()].reduce((sum, r) => sum + r, 0) / dayRanges.size
+    : null;
+
+  let currentDay = null;
+  let dayTable = null;
+
+  tides.forEach((tide, i) => {
+    const tideTime = new Date(tide.time);
+    const dayLabel = timeFormat.day(tideTime);
+
+    if (dayLabel !== currentDay) {
+      currentDay = dayLabel;
+
+      const dayHeader = document.createElement('div');
+      dayHeader.className = 'tide-table-day';
+      dayHeader.textContent = dayLabel;
+
+      const dayRange = dayRanges.get(timeFormat.dayKey(tideTime));
+      const springNeap = classifySpringNeap(tideTime.getTime(), dayRange != null ? dayRange : null, averageRange);
+      if (springNeap) {
+        const badge = document.createElement('span');
+        badge.className = `spring-neap ${springNeap}`;
+        badge.textContent = springNeap === 'spring' ? 'Spring tides' : 'Neap tides';
+        dayHeader.appendChild(badge);
       }
+      tableView.appendChild(dayHeader);
+
+      dayTable = document.createElement('table');
+      dayTable.className = 'tide-table';
+      dayTable.createCaption().textContent = dayLabel;
+      dayTable.caption.className = 'visually-hidden';
+
+      const header = dayTable.createTHead();
+      header.className = 'visually-hidden';
+      const headerRow = header.insertRow();
+      ['Time', 'Tide', 'Height', 'Change'].forEach(text => {
+        const th = document.createElement('th');
+        th.scope = 'col';
+        th.textContent = text;
+        headerRow.appendChild(th);
+      });
+      dayTable.createTBody();
+      tableView.appendChild(dayTable);
+    }
+
+    const row = dayTable.tBodies[0].insertRow();
+    row.className = tide.type === 'HIGH' ? 'high' : 'low';
+    if (!isDaylight(tide.timeMs, location.latitude, location.longitude)) {
+      row.classList.add('night');
+      row.title = 'After dark';
+    }
+
+    const previous = tides[i - 1];
+    const range = previous ? Math.abs(parseFloat(tide.height) - parseFloat(previous.height)) : null;
+
+    const cells = [
+      timeFormat.time(tideTime) + formatUncertainty(tide),
+      formatTideLabel(tide.label),
+      formatHeight(tide.height, settings.heightUnit)
+    ];
+    cells.forEach(text => {
+      row.insertCell().textContent = text;
+    });
+
+    // Rise or fall since the previous extreme; the arrow is spelled out for screen readers
+    const rangeCell = row.insertCell();
+    if (range != null) {
+      const arrow = createTextElement('span', null, tide.type === 'HIGH' ? '↑ ' : '↓ ');
+      arrow.setAttribute('aria-hidden', 'true');
+      rangeCell.append(arrow, createTextElement('span', 'visually-hidden', tide.type === 'HIGH' ? 'Rise of ' : 'Fall of '), formatHeight(range, settings.heightUnit));
+    } else {
+      rangeCell.textContent = '—';
+    }
+
+    const issues = getEventIssues(quality, tide);
+    if (issues.length > 0) {
+      const flag = createTextElement('span', `quality-flag ${issues.some(issue => issue.severity === 'major') ? 'major' : 'minor'}`);
+      flag.title = issues.map(issue => issue.message).join('\n');
+      flag.appendChild(createWarningSymbol());
+      flag.appendChild(createTextElement('span', 'visually-hidden', issues.map(issue => issue.message).join('. ')));
+      row.cells[0].appendChild(flag);
     }
+  });
+
+  container.appendChild(tableView);
+}
+
+// Conditions panel: waves, swell, wind waves and sea temperature now and over
+// the next hours, with an arrow pointing where each wave train is heading
+function renderConditions(container, conditions, now) {
+  const outlook = getConditionsOutlook(conditions, now);
+  if (outlook.length === 0) return;
+
+  const panel = document.createElement('div');
+  panel.className = 'conditions-panel';
+
+  const title = document.createElement('div');
+  title.className = 'tide-label';
+  title.textContent = 'Conditions';
+  panel.appendChild(title);
+
+  const table = document.createElement('table');
+  table.className = 'conditions-table';
+
+  const header = table.createTHead().insertRow();
+  header.appendChild(document.createElement('th'));
+  outlook.forEach((entry, i) => {
+    const th = document.createElement('th');
+    th.textContent = i === 0 ? 'Now' : timeFormat.time(new Date(entry.time));
+    header.appendChild(th);
+  });
+
+  const body = table.createTBody();
+
+  WAVE_COMPONENTS.forEach(component => {
+    if (outlook.every(entry => entry.components[component.id].height == null)) return;
+
+    const row = body.insertRow();
+    const label = document.createElement('th');
+    label.textContent = component.label;
+    row.appendChild(label);
+
+    outlook.forEach(entry => {
+      const cell = row.insertCell();
+      const { height, period, direction } = entry.components[component.id];
+      if (height == null) {
+        cell.textContent = '—';
+        return;
+      }
+
+      const text = document.createElement('div');
+      text.textContent = `${formatHeight(height, settings.heightUnit, 1)}${period != null ? ` · ${Math.round(period)} s` : ''}`;
+      cell.appendChild(text);
+
+      if (direction != null) {
+        cell.appendChild(createDirectionArrow(direction));
+      }
+    });
+  });
+
+  if (outlook.some(entry => entry.seaTemperature != null)) {
+    const row = body.insertRow();
+    const label = document.createElement('th');
+    label.textContent = 'Sea temp';
+    row.appendChild(label);
+
+    outlook.forEach(entry => {
+      row.insertCell().textContent = entry.seaTemperature != null
+        ? formatTemperature(entry.seaTemperature, settings.heightUnit)
+        : '—';
+    });
   }
 
-  return filtered;
+  panel.appendChild(table);
+  container.appendChild(panel);
 }
 
-// Helper function: Ensure tides alternate HIGH-LOW-HIGH-LOW
-function enforceAlternation(tides) {
-  if (tides.length < 2) return tides;
+// Upcoming windows for each activity profile (rules edited on the options page)
+const MAX_ACTIVITY_WINDOWS = 3;
 
-  const validated = [tides[0]];
+function renderActivityWindows(container, data, tides, location, now) {
+  if (settings.activityProfiles.length === 0) return;
 
-  for (let i = 1; i < tides.length; i++) {
-    const current = tides[i];
-    const last = validated[validated.length - 1];
+  const panel = document.createElement('div');
+  panel.className = 'activity-panel';
 
-    // Check if current tide alternates with last validated tide
-    if (current.type !== last.type) {
-      validated.push(current);
-    } else {
-      // Consecutive same-type tides detected (should be rare after time filtering)
-      console.warn(`⚠️ ALTERNATION ISSUE: Consecutive ${current.type} tides detected at index ${last.index} and ${current.index}`);
+  const title = document.createElement('div');
+  title.className = 'tide-label';
+  title.textContent = 'Activities';
+  panel.appendChild(title);
 
-      // Keep the one with greater prominence
-      if (current.prominence > last.prominence) {
-        console.log(`   → Replacing with more prominent ${current.type} tide`);
-        validated[validated.length - 1] = current;
-      } else {
-        console.log(`   → Keeping existing ${last.type} tide`);
-      }
+  settings.activityProfiles.forEach(profile => {
+    const windows = findActivityWindows(profile, data, tides, location, { now }).slice(0, MAX_ACTIVITY_WINDOWS);
+
+    const name = document.createElement('div');
+    name.className = 'activity-name';
+    name.textContent = profile.name;
+    panel.appendChild(name);
+
+    const list = document.createElement('ul');
+    list.className = 'activity-windows';
+
+    if (windows.length === 0) {
+      const item = document.createElement('li');
+      item.textContent = 'No matching window in this forecast';
+      list.appendChild(item);
     }
-  }
 
-  return validated;
+    windows.forEach(match => {
+      const item = document.createElement('li');
+      const start = match.start <= now.getTime() ? 'Now' : timeFormat.weekdayTime(new Date(match.start));
+      item.textContent = `${start} – ${timeFormat.time(new Date(match.end))} · score ${match.score}`;
+      list.appendChild(item);
+    });
+
+    panel.appendChild(list);
+  });
+
+  container.appendChild(panel);
 }
 
-// Helper function: Validate the final tide sequence
-function validateTideSequence(tides) {
-  if (!DEBUG_MODE) return; // Skip validation logging in production
+// Arrow rotated to the direction of travel (directions are where waves come
+// from, so waves from the north get an arrow pointing south), plus the compass point
+function createDirectionArrow(fromDegrees) {
+  const wrapper = document.createElement('div');
+  wrapper.className = 'direction';
+  wrapper.title = `From ${compassPoint(fromDegrees)} (${Math.round(fromDegrees)}°)`;
+
+  const arrow = document.createElement('span');
+  arrow.className = 'direction-arrow';
+  arrow.textContent = '↓';
+  arrow.style.transform = `rotate(${fromDegrees}deg)`;
+  arrow.setAttribute('aria-hidden', 'true');
+  wrapper.appendChild(arrow);
+
+  wrapper.appendChild(createTextElement('span', 'visually-hidden', 'from'));
+  wrapper.appendChild(document.createTextNode(` ${compassPoint(fromDegrees)}`));
+  return wrapper;
+}
 
-  console.group('✅ TIDE VALIDATION');
+// Tide chart layout (SVG user units, scaled to the popup width)
+const CHART_LAYOUT = {
+  WIDTH: 300,
+  HEIGHT: 150,
+  PADDING_TOP: 20,
+  PADDING_RIGHT: 8,
+  PADDING_BOTTOM: 20,
+  PADDING_LEFT: 34
+};
 
-  if (tides.length === 0) {
-    console.warn('⚠️ No tides detected');
-    console.groupEnd();
-    return;
-  }
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+function createSvgElement(tag, attributes) {
+  const element = document.createElementNS(SVG_NS, tag);
+  Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+  return element;
+}
+
+// x for a time and y for a height inside the CHART_LAYOUT plot area
+function createChartScale(startMs, endMs, minHeight, maxHeight) {
+  const { WIDTH, HEIGHT, PADDING_TOP, PADDING_RIGHT, PADDING_BOTTOM, PADDING_LEFT } = CHART_LAYOUT;
+  const heightSpan = (maxHeight - minHeight) || 1;
 
-  let hasIssues = false;
+  return {
+    xFor: ms => PADDING_LEFT + ((ms - startMs) / (endMs - startMs)) * (WIDTH - PADDING_LEFT - PADDING_RIGHT),
+    yFor: h => PADDING_TOP + ((maxHeight - h) / heightSpan) * (HEIGHT - PADDING_TOP - PADDING_BOTTOM)
+  };
+}
+
+// Y axis labels (min / max)
+function appendHeightLabels(svg, yFor, minHeight, maxHeight) {
+  [maxHeight, minHeight].forEach(h => {
+    const text = createSvgElement('text', { x: CHART_LAYOUT.PADDING_LEFT - 4, y: yFor(h) + 3, class: 'chart-axis-label', 'text-anchor': 'end' });
+    text.textContent = formatHeight(h, settings.heightUnit, 1);
+    svg.appendChild(text);
+  });
+}
+
+// Vertical grid line and weekday label where a new day starts
+function appendDaySeparator(svg, x, day) {
+  const { HEIGHT, PADDING_TOP, PADDING_BOTTOM } = CHART_LAYOUT;
+  svg.appendChild(createSvgElement('line', { x1: x, x2: x, y1: PADDING_TOP, y2: HEIGHT - PADDING_BOTTOM, class: 'chart-grid' }));
+  const text = createSvgElement('text', { x: x, y: HEIGHT - 6, class: 'chart-axis-label', 'text-anchor': 'middle' });
+  text.textContent = timeFormat.weekday(day);
+  svg.appendChild(text);
+}
 
-  // Check 1: Alternation
-  for (let i = 1; i < tides.length; i++) {
-    if (tides[i].type === tides[i - 1].type) {
-      console.error(`❌ VALIDATION FAILED: Consecutive ${tides[i].type} tides found!`);
-      hasIssues = true;
+// Path data for a sea level curve, broken into segments around null gaps
+function buildCurvePath(points, xFor, yFor) {
+  let pathData = '';
+  let penDown = false;
+  points.forEach(p => {
+    if (p.height == null) {
+      penDown = false;
+      return;
     }
+    pathData += `${penDown ? 'L' : 'M'}${xFor(p.timeMs).toFixed(1)},${yFor(p.height).toFixed(1)} `;
+    penDown = true;
+  });
+  return pathData.trim();
+}
+
+// "Now" marker: a vertical line at x with its label above the plot
+function appendNowMarker(svg, x) {
+  const { HEIGHT, PADDING_TOP, PADDING_BOTTOM } = CHART_LAYOUT;
+  svg.appendChild(createSvgElement('line', { x1: x, x2: x, y1: PADDING_TOP - 8, y2: HEIGHT - PADDING_BOTTOM, class: 'chart-now' }));
+  const text = createSvgElement('text', { x: x, y: PADDING_TOP - 10, class: 'chart-now-label', 'text-anchor': 'middle' });
+  text.textContent = 'Now';
+  svg.appendChild(text);
+}
+
+// Draw the full hourly sea-level series as an inline SVG with a "now" marker,
+// labelled HIGH/LOW points and a hover readout of time and height
+function renderTideChart(container, times, seaLevels, tides, now, location) {
+  const points = times
+    .map((t, i) => ({ timeMs: new Date(t).getTime(), height: seaLevels[i] }))
+    .filter(p => !isNaN(p.timeMs));
+  const validHeights = points.filter(p => p.height != null).map(p => p.height);
+
+  if (validHeights.length < 2) return;
+
+  const { WIDTH, HEIGHT, PADDING_TOP, PADDING_RIGHT, PADDING_BOTTOM, PADDING_LEFT } = CHART_LAYOUT;
+  const startMs = points[0].timeMs;
+  const endMs = points[points.length - 1].timeMs;
+  const minHeight = Math.min(...validHeights);
+  const maxHeight = Math.max(...validHeights);
+  const { xFor, yFor } = createChartScale(startMs, endMs, minHeight, maxHeight);
+
+  const wrapper = document.createElement('div');
+  wrapper.className = 'tide-item tide-chart';
+
+  const label = document.createElement('div');
+  label.className = 'tide-label';
+  label.textContent = 'Sea Level Forecast';
+  wrapper.appendChild(label);
+
+  const svg = createSvgElement('svg', {
+    viewBox: `0 0 ${WIDTH} ${HEIGHT}`,
+    class: 'tide-chart-svg',
+    role: 'img',
+    'aria-label': `Sea level forecast chart from ${timeFormat.weekdayTime(new Date(startMs))} to ${timeFormat.weekdayTime(new Date(endMs))}, `
+      + `between ${formatHeight(minHeight, settings.heightUnit)} and ${formatHeight(maxHeight, settings.heightUnit)}. Each high and low is listed in the tide table`
+  });
+
+  appendHeightLabels(svg, yFor, minHeight, maxHeight);
+
+  // Night shading, from sunset to sunrise at the location
+  getNightPeriods(startMs, endMs, location.latitude, location.longitude).forEach(period => {
+    const x1 = xFor(period.start);
+    svg.appendChild(createSvgElement('rect', {
+      x: x1,
+      y: PADDING_TOP,
+      width: Math.max(xFor(period.end) - x1, 0),
+      height: HEIGHT - PADDING_TOP - PADDING_BOTTOM,
+      class: 'chart-night'
+    }));
+  });
+
+  // Day separators at the first sample of each day in the display timezone
+  for (let i = 1; i < points.length; i++) {
+    const day = new Date(points[i].timeMs);
+    if (timeFormat.dayKey(day) === timeFormat.dayKey(new Date(points[i - 1].timeMs))) continue;
+    appendDaySeparator(svg, xFor(points[i].timeMs), day);
   }
 
-  // Check 2: Time separation
-  for (let i = 1; i < tides.length; i++) {
-    const timeDiff = (new Date(tides[i].time).getTime() - new Date(tides[i - 1].time).getTime()) / (1000 * 60 * 60);
-    if (timeDiff < TIDAL_CONSTANTS.MIN_TIDE_SEPARATION_HOURS) {
-      console.warn(`⚠️ Tides very close: ${tides[i - 1].type} → ${tides[i].type} only ${timeDiff.toFixed(1)} hours apart`);
-      hasIssues = true;
-    } else if (timeDiff > 13) {
-      console.warn(`⚠️ Large gap between tides: ${timeDiff.toFixed(1)} hours (may indicate missing tide)`);
-    }
+  svg.appendChild(createSvgElement('path', { d: buildCurvePath(points, xFor, yFor), class: 'chart-curve' }));
+
+  const nowMs = now.getTime();
+  if (nowMs >= startMs && nowMs <= endMs) {
+    appendNowMarker(svg, xFor(nowMs));
+  }
+
+  // HIGH / LOW points from getPreciseTides()
+  tides.forEach(tide => {
+    const x = xFor(new Date(tide.time).getTime());
+    const y = yFor(parseFloat(tide.height));
+    const isHigh = tide.type === 'HIGH';
+    svg.appendChild(createSvgElement('circle', { cx: x, cy: y, r: 3, class: isHigh ? 'chart-point high' : 'chart-point low' }));
+    const text = createSvgElement('text', { x: x, y: isHigh ? y - 6 : y + 12, class: 'chart-point-label', 'text-anchor': 'middle' });
+    text.textContent = isHigh ? 'H' : 'L';
+    svg.appendChild(text);
+  });
+
+  // Hover readout
+  const hoverLine = createSvgElement('line', { y1: PADDING_TOP, y2: HEIGHT - PADDING_BOTTOM, class: 'chart-hover hidden' });
+  const hoverDot = createSvgElement('circle', { r: 3, class: 'chart-hover hidden' });
+  svg.appendChild(hoverLine);
+  svg.appendChild(hoverDot);
+
+  const readout = document.createElement('div');
+  readout.className = 'tide-time chart-readout';
+  readout.setAttribute('aria-hidden', 'true'); // Pointer-only; the chart's label and the tide table carry the same data
+  readout.textContent = 'Hover the chart for time and height';
+
+  svg.addEventListener('mousemove', (e) => {
+    const rect = svg.getBoundingClientRect();
+    const x = ((e.clientX - rect.left) / rect.width) * WIDTH;
+    const hoverMs = startMs + ((x - PADDING_LEFT) / (WIDTH - PADDING_LEFT - PADDING_RIGHT)) * (endMs - startMs);
+
+    // Nearest hourly sample with a value
+    let nearest = null;
+    points.forEach(p => {
+      if (p.height == null) return;
+      if (!nearest || Math.abs(p.timeMs - hoverMs) < Math.abs(nearest.timeMs - hoverMs)) {
+        nearest = p;
+      }
+    });
+    if (!nearest) return;
+
+    const px = xFor(nearest.timeMs);
+    const py = yFor(nearest.height);
+    hoverLine.setAttribute('x1', px);
+    hoverLine.setAttribute('x2', px);
+    hoverDot.setAttribute('cx', px);
+    hoverDot.setAttribute('cy', py);
+    hoverLine.classList.remove('hidden');
+    hoverDot.classList.remove('hidden');
+
+    const time = timeFormat.weekdayTime(new Date(nearest.timeMs));
+    readout.textContent = `${time} — ${formatHeight(nearest.height, settings.heightUnit)}`;
+  });
+
+  svg.addEventListener('mouseleave', () => {
+    hoverLine.classList.add('hidden');
+    hoverDot.classList.add('hidden');
+    readout.textContent = 'Hover the chart for time and height';
+  });
+
+  wrapper.appendChild(svg);
+  wrapper.appendChild(readout);
+  container.appendChild(wrapper);
+}
+
+// Comparison of saved locations: the locations ticked in the picker are fetched
+// in parallel and shown side by side, optionally with their curves overlaid
+const MAX_COMPARE_LOCATIONS = 4;
+const COMPARE_COLORS = ['#D946EF', '#0EA5E9', '#FB923C', '#22C55E'];
+const COMPARE_WINDOW_BEFORE_MS = 6 * 60 * 60 * 1000;
+const COMPARE_WINDOW_AFTER_MS = 42 * 60 * 60 * 1000;
+
+let compareLocationIds = null;
+let compareOverlay = true;
+let compareController = null;
+
+function renderCompareView() {
+  compareViewDiv.innerHTML = '';
+
+  if (savedLocations.length < 2) {
+    const hint = document.createElement('div');
+    hint.className = 'loading';
+    hint.textContent = 'Save at least two locations to compare them';
+    compareViewDiv.appendChild(hint);
+    return;
   }
 
-  if (!hasIssues) {
-    console.log('✅ All validation checks passed!');
-    console.log(`   Found ${tides.length} tides with proper alternation and spacing`);
+  // Start with the selected location and the next saved ones
+  if (!compareLocationIds) {
+    const ordered = [selectedLocationId, ...savedLocations.map(loc => loc.id).filter(id => id !== selectedLocationId)];
+    compareLocationIds = ordered.slice(0, 3);
+  }
+  compareLocationIds = compareLocationIds.filter(id => savedLocations.some(loc => loc.id === id));
+
+  const picker = document.createElement('div');
+  picker.className = 'compare-picker';
+  picker.setAttribute('role', 'group');
+  picker.setAttribute('aria-label', 'Locations to compare');
+  savedLocations.forEach(location => {
+    const label = document.createElement('label');
+    label.className = 'checkbox-label';
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.checked = compareLocationIds.includes(location.id);
+    input.disabled = !input.checked && compareLocationIds.length >= MAX_COMPARE_LOCATIONS;
+    input.addEventListener('change', () => {
+      compareLocationIds = input.checked
+        ? [...compareLocationIds, location.id]
+        : compareLocationIds.filter(id => id !== location.id);
+      renderCompareView();
+    });
+    label.appendChild(input);
+    label.appendChild(document.createTextNode(` ${location.name || formatCoordinates(location.latitude, location.longitude)}`));
+    picker.appendChild(label);
+  });
+
+  const overlayLabel = document.createElement('label');
+  overlayLabel.className = 'checkbox-label compare-overlay-toggle';
+  const overlayInput = document.createElement('input');
+  overlayInput.type = 'checkbox';
+  overlayInput.checked = compareOverlay;
+  overlayInput.addEventListener('change', () => {
+    compareOverlay = overlayInput.checked;
+    compareViewDiv.classList.toggle('hide-overlay', !compareOverlay);
+  });
+  overlayLabel.appendChild(overlayInput);
+  overlayLabel.appendChild(document.createTextNode(' Overlay sea-level curves'));
+  picker.appendChild(overlayLabel);
+  compareViewDiv.classList.toggle('hide-overlay', !compareOverlay);
+
+  compareViewDiv.appendChild(picker);
+
+  const results = document.createElement('div');
+  results.className = 'compare-results';
+  compareViewDiv.appendChild(results);
+
+  const locations = compareLocationIds.map(id => savedLocations.find(loc => loc.id === id));
+  if (locations.length < 2) {
+    results.innerHTML = '<div class="loading">Tick at least two locations</div>';
+    return;
   }
 
-  console.groupEnd();
+  loadComparison(results, locations);
 }
 
-function getTimeUntil(futureTime) {
-  const now = new Date();
-  const diff = futureTime - now;
+// Fetch every location in parallel (falling back to its cached forecast) and render
+async function loadComparison(container, locations) {
+  if (compareController) {
+    compareController.abort();
+  }
+  const controller = new AbortController();
+  compareController = controller;
+
+  container.innerHTML = '<div class="loading">Loading tide data...</div>';
+  container.setAttribute('aria-busy', 'true');
+
+  const entries = await Promise.all(locations.map(async (location, i) => {
+    const entry = { location, color: COMPARE_COLORS[i], data: null, error: null };
+    try {
+      entry.data = await fetchForecast(location, settings, { signal: controller.signal });
+    } catch (error) {
+      if (error instanceof RequestCancelledError) return entry;
+      const cached = await loadCachedForecast(location);
+      if (cached) {
+        entry.data = cached.data;
+      } else {
+        entry.error = error instanceof ProviderError ? error.message : describeRequestError(error, 'Failed to load tide data');
+      }
+    }
+    return entry;
+  }));
 
-  if (diff < 0) return 'Now';
+  if (controller.signal.aborted) return;
+  if (compareController === controller) compareController = null;
 
-  const hours = Math.floor(diff / (1000 * 60 * 60));
-  const minutes = Math.floor((diff % (1000 * 60 * 60)) / (1000 * 60));
+  container.innerHTML = '';
+  container.setAttribute('aria-busy', 'false');
+  renderComparisonTable(container, entries);
+  announce(`Comparison of ${entries.length} locations loaded`);
+  renderComparisonChart(container, entries.filter(entry => entry.data && entry.data.hourly), new Date());
+}
 
-  if (hours === 0) {
-    return `in ${minutes} min`;
-  } else if (hours === 1) {
-    return `in 1 hour ${minutes} min`;
-  } else {
-    return `in ${hours} hours ${minutes} min`;
+// One column per location: current state, next HIGH and LOW, and the range between them
+function renderComparisonTable(container, entries) {
+  const now = new Date();
+  const table = document.createElement('table');
+  table.className = 'compare-table';
+
+  const header = table.createTHead().insertRow();
+  header.appendChild(document.createElement('th'));
+  entries.forEach(entry => {
+    const th = document.createElement('th');
+    th.scope = 'col';
+    th.textContent = entry.location.name || formatCoordinates(entry.location.latitude, entry.location.longitude);
+    th.style.borderTopColor = entry.color;
+    header.appendChild(th);
+  });
+
+  const summaries = entries.map(entry => {
+    if (!entry.data || !entry.data.hourly) return null;
+
+    const { tides } = analyzeForecast(entry.data, { method: settings.extractionMethod });
+    const current = getCurrentLevel(entry.data.hourly, tides, now);
+    const { nextHigh, nextLow } = getNextTides(tides, now);
+    const format = createTimeFormatter({
+      timeZone: settings.useLocationTimezone ? entry.location.timezone || entry.data.timezone || undefined : undefined,
+      hour12: getHour12(settings.clockFormat)
+    });
+    return { current, nextHigh, nextLow, format };
+  });
+
+  const body = table.createTBody();
+  const rows = [
+    ['Now', (summary) => {
+      if (!summary.current) return 'N/A';
+      const state = summary.current.state === 'slack' ? 'Slack' : summary.current.state === 'rising' ? 'Rising' : 'Falling';
+      return `${state}, ${formatHeight(summary.current.height, settings.heightUnit)}`;
+    }],
+    ['Next high', (summary) => summary.nextHigh
+      ? `${summary.format.weekdayTime(new Date(summary.nextHigh.time))} (${formatHeight(summary.nextHigh.height, settings.heightUnit)})`
+      : '—'],
+    ['Next low', (summary) => summary.nextLow
+      ? `${summary.format.weekdayTime(new Date(summary.nextLow.time))} (${formatHeight(summary.nextLow.height, settings.heightUnit)})`
+      : '—'],
+    ['Range', (summary) => summary.nextHigh && summary.nextLow
+      ? formatHeight(Math.abs(parseFloat(summary.nextHigh.height) - parseFloat(summary.nextLow.height)), settings.heightUnit)
+      : '—']
+  ];
+
+  rows.forEach(([label, describe], rowIndex) => {
+    const row = body.insertRow();
+    const th = document.createElement('th');
+    th.scope = 'row';
+    th.textContent = label;
+    row.appendChild(th);
+
+    entries.forEach((entry, i) => {
+      const cell = row.insertCell();
+      if (summaries[i]) {
+        cell.textContent = describe(summaries[i]);
+      } else if (rowIndex === 0) {
+        cell.textContent = entry.error || 'No tide data';
+        cell.className = 'compare-error';
+      } else {
+        cell.textContent = '—';
+      }
+    });
+  });
+
+  container.appendChild(table);
+}
+
+// Overlay of each location's sea level over the same window around now.
+// Heights are drawn as reported, relative to each source's own datum
+function renderComparisonChart(container, entries, now) {
+  const startMs = now.getTime() - COMPARE_WINDOW_BEFORE_MS;
+  const endMs = now.getTime() + COMPARE_WINDOW_AFTER_MS;
+
+  const series = entries.map(entry => ({
+    entry,
+    points: entry.data.hourly.time
+      .map((t, i) => ({ timeMs: new Date(t).getTime(), height: entry.data.hourly.sea_level_height_msl[i] }))
+      .filter(p => p.timeMs >= startMs && p.timeMs <= endMs)
+  })).filter(s => s.points.some(p => p.height != null));
+
+  if (series.length === 0) return;
+
+  const heights = series.flatMap(s => s.points.filter(p => p.height != null).map(p => p.height));
+  const minHeight = Math.min(...heights);
+  const maxHeight = Math.max(...heights);
+  const { xFor, yFor } = createChartScale(startMs, endMs, minHeight, maxHeight);
+
+  const wrapper = document.createElement('div');
+  wrapper.className = 'tide-item tide-chart compare-chart';
+
+  const label = document.createElement('div');
+  label.className = 'tide-label';
+  label.textContent = 'Sea Level Comparison';
+  wrapper.appendChild(label);
+
+  const svg = createSvgElement('svg', {
+    viewBox: `0 0 ${CHART_LAYOUT.WIDTH} ${CHART_LAYOUT.HEIGHT}`,
+    class: 'tide-chart-svg',
+    role: 'img',
+    'aria-label': 'Sea level comparison chart'
+  });
+
+  appendHeightLabels(svg, yFor, minHeight, maxHeight);
+
+  // Day separators in the display timezone, hourly steps through the window
+  for (let ms = startMs + 60 * 60 * 1000; ms <= endMs; ms += 60 * 60 * 1000) {
+    const hourStart = ms - (ms % (60 * 60 * 1000));
+    if (timeFormat.dayKey(new Date(hourStart)) === timeFormat.dayKey(new Date(hourStart - 60 * 60 * 1000))) continue;
+    appendDaySeparator(svg, xFor(hourStart), new Date(hourStart));
   }
+
+  series.forEach(({ entry, points }) => {
+    svg.appendChild(createSvgElement('path', { d: buildCurvePath(points, xFor, yFor), class: 'chart-curve compare-curve', style: `stroke: ${entry.color}` }));
+  });
+
+  appendNowMarker(svg, xFor(now.getTime()));
+
+  wrapper.appendChild(svg);
+
+  const legend = document.createElement('div');
+  legend.className = 'compare-legend';
+  series.forEach(({ entry }) => {
+    const item = document.createElement('span');
+    const swatch = document.createElement('span');
+    swatch.className = 'compare-swatch';
+    swatch.style.background = entry.color;
+    item.appendChild(swatch);
+    item.appendChild(document.createTextNode(entry.location.name || formatCoordinates(entry.location.latitude, entry.location.longitude)));
+    legend.appendChild(item);
+  });
+  wrapper.appendChild(legend);
+
+  const note = document.createElement('div');
+  note.className = 'input-hint';
+  note.textContent = 'Heights are relative to each data source\'s own datum.';
+  wrapper.appendChild(note);
+
+  container.appendChild(wrapper);
 }
@@ -0,0 +1,7 @@
+// Provider errors carry a message that is safe to show in the popup as-is
+export class ProviderError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ProviderError';
+  }
+}
@@ -0,0 +1,25 @@
+// Offline harmonic prediction "provider": predicts from published constituents
+// entered for the location, or from constituents fitted to its last download
+import { predictOfflineForecast } from '../harmonics.js';
+import { loadHarmonicModel } from '../cache.js';
+import { ProviderError } from './errors.js';
+
+export const id = 'harmonic';
+export const name = 'Harmonic prediction (offline)';
+export const requiresApiKey = false;
+export const maxForecastDays = 30;
+export const disclaimer = 'Tides predicted offline from tidal constituents, either ones you entered or ones fitted to previously downloaded data. Fits from a few days of data can only resolve the main constituents and estimate the rest, so they are only used for as many days ahead as the data they were fitted to.';
+
+export async function fetchForecast(lat, lon, { forecastDays, location }) {
+  const model = location.harmonicModel || await loadHarmonicModel(location.id);
+
+  if (!model) {
+    throw new ProviderError('No tidal constituents for this location yet. Load it once with another data source, or enter published constituents when adding it.');
+  }
+
+  const forecast = predictOfflineForecast(model, forecastDays);
+  if (!forecast) {
+    throw new ProviderError('The tidal constituents fitted for this location are too old to predict from. Load it once with another data source to refit them.');
+  }
+  return forecast;
+}
@@ -0,0 +1,55 @@
+// Tide data providers. Each adapter turns its source's response into
+// { hourly: { time[], sea_level_height_msl[] }, tides: HIGH/LOW events or null, timezone }
+// where a null tides list means the events come from getPreciseTides(), and
+// timezone is the location's IANA timezone when the source reports it.
+// fetchForecast() adds conditions ({ time[], wave_height[], ... } from Open-Meteo,
+// or null) for the conditions panel, except for the offline harmonic prediction
+import * as openMeteo from './open-meteo.js';
+import * as noaa from './noaa.js';
+import * as worldTides from './worldtides.js';
+import * as harmonic from './harmonic.js';
+import { ProviderError } from './errors.js';
+import { RequestCancelledError } from '../http.js';
+
+export { ProviderError };
+
+export const DEFAULT_PROVIDER_ID = openMeteo.id;
+
+export const PROVIDERS = [openMeteo, noaa, worldTides, harmonic];
+
+export function getProvider(id) {
+  return PROVIDERS.find(provider => provider.id === id) || openMeteo;
+}
+
+// Fetch the normalized forecast for a saved location using its provider.
+// settings are the stored user settings (API keys, forecast horizon); signal
+// cancels the requests (see http.js)
+export async function fetchForecast(location, settings, { signal = null } = {}) {
+  const provider = getProvider(location.provider);
+  const apiKey = (settings.providerApiKeys || {})[provider.id];
+  const forecastDays = Math.min(settings.forecastDays, provider.maxForecastDays);
+
+  if (provider.requiresApiKey && !apiKey) {
+    throw new ProviderError(`${provider.name} requires an API key. Add one under "Change" → Data source.`);
+  }
+
+  const forecast = await provider.fetchForecast(location.latitude, location.longitude, { apiKey, forecastDays, location, signal });
+
+  // Tide-only sources: take waves and sea temperature from Open-Meteo. Missing
+  // conditions never fail the forecast. The offline harmonic prediction skips
+  // them, so it never waits on a dead network
+  if (!forecast.conditions && provider.id !== harmonic.id) {
+    try {
+      forecast.conditions = await openMeteo.fetchConditions(location.latitude, location.longitude, {
+        forecastDays: Math.min(forecastDays, openMeteo.maxForecastDays),
+        signal
+      });
+    } catch (error) {
+      if (error instanceof RequestCancelledError) throw error;
+      console.error('Marine conditions error:', error);
+      forecast.conditions = null;
+    }
+  }
+
+  return forecast;
+}
@@ -0,0 +1,100 @@
+// NOAA CO-OPS adapter (harmonic tide predictions, US stations only, no API key)
+import { createTideEvent } from '../tides.js';
+import { ProviderError } from './errors.js';
+import { fetchJson } from '../http.js';
+
+export const id = 'noaa';
+export const name = 'NOAA CO-OPS (USA)';
+export const requiresApiKey = false;
+export const maxForecastDays = 31;
+export const disclaimer = 'Tide predictions from the nearest NOAA CO-OPS station, which may be some distance from this location.';
+
+const STATIONS_URL = 'https://api.tidesandcurrents.noaa.gov/mdapi/prod/webapi/stations.json?type=tidepredictions';
+const DATA_URL = 'https://api.tidesandcurrents.noaa.gov/api/prod/datagetter';
+const MAX_STATION_DISTANCE_KM = 100;
+
+// The station list is large, keep it for the lifetime of the page / worker
+let stationsCache = null;
+
+export function buildPredictionsUrl(stationId, beginDate, forecastDays, interval) {
+  const params = new URLSearchParams({
+    product: 'predictions',
+    application: 'quick_tide_checker',
+    station: stationId,
+    begin_date: beginDate,
+    range: String(forecastDays * 24),
+    datum: 'MSL',
+    time_zone: 'gmt',
+    units: 'metric',
+    interval: interval,
+    format: 'json'
+  });
+  return `${DATA_URL}?${params}`;
+}
+
+// Great-circle distance in kilometres
+function distanceKm(lat1, lon1, lat2, lon2) {
+  const toRad = deg => deg * Math.PI / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+// Pick the closest prediction station from a mdapi stations.json response
+export function findNearestStation(stationsJson, lat, lon) {
+  let nearest = null;
+
+  (stationsJson.stations || []).forEach(station => {
+    const distance = distanceKm(lat, lon, station.lat, station.lng);
+    if (!nearest || distance < nearest.distance) {
+      nearest = { id: station.id, name: station.name, distance: distance };
+    }
+  });
+
+  return nearest;
+}
+
+// NOAA GMT timestamps look like "2024-06-01 14:36"
+function parseNoaaTime(t) {
+  return Date.parse(t.replace(' ', 'T') + ':00Z');
+}
+
+// Normalize an hourly predictions response plus a hi/lo predictions response
+export function parseResponse(hourlyJson, hiloJson) {
+  if (hourlyJson.error) {
+    throw new ProviderError(`NOAA: ${hourlyJson.error.message}`);
+  }
+
+  const predictions = hourlyJson.predictions || [];
+  const hourly = {
+    time: predictions.map(p => new Date(parseNoaaTime(p.t)).toISOString()),
+    sea_level_height_msl: predictions.map(p => (p.v === '' ? null : parseFloat(p.v)))
+  };
+
+  const tides = hiloJson && !hiloJson.error
+    ? (hiloJson.predictions || []).map(p => createTideEvent(p.type === 'H' ? 'HIGH' : 'LOW', parseNoaaTime(p.t), parseFloat(p.v)))
+    : null;
+
+  return { hourly, tides, timezone: null };
+}
+
+export async function fetchForecast(lat, lon, { forecastDays, signal }) {
+  if (!stationsCache) {
+    stationsCache = await fetchJson(STATIONS_URL, { signal });
+  }
+
+  const station = findNearestStation(stationsCache, lat, lon);
+  if (!station || station.distance > MAX_STATION_DISTANCE_KM) {
+    throw new ProviderError(`No NOAA tide station within ${MAX_STATION_DISTANCE_KM} km of this location`);
+  }
+
+  // Start at the beginning of the current UTC day so the last tide is included
+  const beginDate = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  const [hourlyJson, hiloJson] = await Promise.all([
+    fetchJson(buildPredictionsUrl(station.id, beginDate, forecastDays, 'h'), { signal }),
+    fetchJson(buildPredictionsUrl(station.id, beginDate, forecastDays, 'hilo'), { signal })
+  ]);
+
+  return parseResponse(hourlyJson, hiloJson);
+}
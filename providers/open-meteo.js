@@ -0,0 +1,60 @@
+// Open-Meteo Marine API adapter (modelled sea level, worldwide, no API key)
+import { fetchJson } from '../http.js';
+
+export const id = 'open-meteo';
+export const name = 'Open-Meteo Marine';
+export const requiresApiKey = false;
+export const maxForecastDays = 16;
+export const disclaimer = 'Tide data is calculated using a free API (Open-Meteo) at ~8km resolution. High and low tides are computed estimates.';
+
+// Hourly marine variables behind the conditions panel (directions are where the
+// waves come from, in degrees; periods in seconds; temperature in °C)
+export const CONDITION_VARIABLES = [
+  'wave_height', 'wave_direction', 'wave_period',
+  'swell_wave_height', 'swell_wave_direction', 'swell_wave_period',
+  'wind_wave_height', 'wind_wave_direction', 'wind_wave_period',
+  'sea_surface_temperature'
+];
+
+export function buildUrl(lat, lon, forecastDays, variables = ['sea_level_height_msl', ...CONDITION_VARIABLES]) {
+  // Open-Meteo Marine API - using sea_level_height_msl for REAL tide data
+  // Unix timestamps keep times unambiguous; timezone=auto reports the location's timezone
+  return `https://marine-api.open-meteo.com/v1/marine?latitude=${lat}&longitude=${lon}&hourly=${variables.join(',')}&timezone=auto&timeformat=unixtime&forecast_days=${forecastDays}`;
+}
+
+// Normalize a marine API response; HIGH/LOW events are left to getPreciseTides()
+export function parseResponse(json) {
+  if (!json.hourly) {
+    return { hourly: null, tides: null, conditions: null, timezone: json.timezone || null };
+  }
+
+  const time = json.hourly.time.map(t => new Date(t * 1000).toISOString());
+
+  return {
+    hourly: { time, sea_level_height_msl: json.hourly.sea_level_height_msl },
+    tides: null,
+    conditions: parseConditions(json.hourly, time),
+    timezone: json.timezone || null
+  };
+}
+
+// { time[], <variable>[] } for the CONDITION_VARIABLES the response has, or null
+function parseConditions(hourly, time) {
+  const present = CONDITION_VARIABLES.filter(variable => Array.isArray(hourly[variable]));
+  if (present.length === 0) return null;
+
+  const conditions = { time };
+  present.forEach(variable => {
+    conditions[variable] = hourly[variable];
+  });
+  return conditions;
+}
+
+export async function fetchForecast(lat, lon, { forecastDays, signal }) {
+  return parseResponse(await fetchJson(buildUrl(lat, lon, forecastDays), { signal }));
+}
+
+// Conditions only, for locations whose tide provider has no wave data
+export async function fetchConditions(lat, lon, { forecastDays, signal }) {
+  return parseResponse(await fetchJson(buildUrl(lat, lon, forecastDays, CONDITION_VARIABLES), { signal })).conditions;
+}
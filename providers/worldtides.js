@@ -0,0 +1,48 @@
+// WorldTides v3 adapter (global tide predictions, requires an API key)
+import { createTideEvent } from '../tides.js';
+import { ProviderError } from './errors.js';
+import { fetchJson } from '../http.js';
+
+export const id = 'worldtides';
+export const name = 'WorldTides';
+export const requiresApiKey = true;
+export const maxForecastDays = 7;
+export const disclaimer = 'Tide predictions from WorldTides. Each request uses API credits on your WorldTides account.';
+
+export function buildUrl(lat, lon, apiKey, forecastDays) {
+  const params = new URLSearchParams({
+    lat: String(lat),
+    lon: String(lon),
+    date: 'today',
+    days: String(forecastDays),
+    step: '3600',
+    datum: 'MSL',
+    key: apiKey
+  });
+  // heights and extremes are valueless flags
+  return `https://www.worldtides.info/api/v3?heights&extremes&${params}`;
+}
+
+// Normalize a v3 response with heights and extremes
+export function parseResponse(json) {
+  if (json.status !== 200 || json.error) {
+    throw new ProviderError(`WorldTides: ${json.error || `status ${json.status}`}`);
+  }
+
+  const heights = json.heights || [];
+  const hourly = {
+    time: heights.map(h => new Date(h.dt * 1000).toISOString()),
+    sea_level_height_msl: heights.map(h => h.height)
+  };
+
+  const tides = (json.extremes || []).map(e => createTideEvent(e.type === 'High' ? 'HIGH' : 'LOW', e.dt * 1000, e.height));
+
+  return { hourly, tides, timezone: null };
+}
+
+export async function fetchForecast(lat, lon, { apiKey, forecastDays, signal }) {
+  // WorldTides reports bad keys and exhausted credits in the JSON body, and
+  // every request spends credits, so retry only once
+  const json = await fetchJson(buildUrl(lat, lon, apiKey, forecastDays), { signal, acceptErrorJson: true, retries: 1 });
+  return parseResponse(json);
+}
@@ -0,0 +1,33 @@
+// User settings stored in chrome.storage.sync, shared by the popup and the background service worker
+
+export const SETTINGS_DEFAULTS = {
+  notificationsEnabled: true,   // Alert before the next HIGH or LOW tide
+  notificationLeadMinutes: 30,  // How long before the tide the alert fires
+  providerApiKeys: {},          // API keys by provider id, for providers that need one
+  forecastDays: 2,              // Forecast horizon, capped by each provider's maximum
+  useLocationTimezone: true,    // Show times in the location's timezone rather than the browser's
+  heightUnit: 'm',              // 'm' (metres) or 'ft' (feet)
+  clockFormat: 'auto',          // 'auto' (browser locale), '12h' or '24h'
+  theme: 'auto',                // 'auto' (time of day), 'light' or 'dark'
+  extractionMethod: 'parabolic', // How HIGH/LOW times are found: 'parabolic' or 'spline'
+  diagnostics: false,           // Detailed data-quality logging in the console
+  activityProfiles: []          // Activity rules (see activities.js) matched against each forecast
+};
+
+// hour12 option for createTimeFormatter(); undefined follows the browser locale
+export function getHour12(clockFormat) {
+  if (clockFormat === '12h') return true;
+  if (clockFormat === '24h') return false;
+  return undefined;
+}
+
+// Forecast horizons offered in the popup
+export const FORECAST_DAY_OPTIONS = [1, 2, 3, 5, 7, 10, 14, 16, 30];
+
+export async function loadSettings() {
+  return chrome.storage.sync.get(SETTINGS_DEFAULTS);
+}
+
+export async function saveSettings(changes) {
+  await chrome.storage.sync.set(changes);
+}
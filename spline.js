@@ -0,0 +1,209 @@
+// Cubic-spline extraction of tide extremes. A natural cubic spline through the
+// whole hourly series is differentiated analytically, so extremes can fall
+// anywhere between samples and flat-topped or double-peaked (young flood stand)
+// tides are resolved. Pure functions, no DOM
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Natural cubic spline through (xs, ys): returns the second derivatives at the knots
+function splineSecondDerivatives(xs, ys) {
+  const n = xs.length;
+  const m = new Array(n).fill(0);
+  if (n < 3) return m;
+
+  // Tridiagonal system for interior knots (Thomas algorithm)
+  const sub = new Array(n).fill(0);
+  const diag = new Array(n).fill(0);
+  const sup = new Array(n).fill(0);
+  const rhs = new Array(n).fill(0);
+
+  for (let i = 1; i < n - 1; i++) {
+    const h0 = xs[i] - xs[i - 1];
+    const h1 = xs[i + 1] - xs[i];
+    sub[i] = h0;
+    diag[i] = 2 * (h0 + h1);
+    sup[i] = h1;
+    rhs[i] = 6 * ((ys[i + 1] - ys[i]) / h1 - (ys[i] - ys[i - 1]) / h0);
+  }
+
+  for (let i = 2; i < n - 1; i++) {
+    const factor = sub[i] / diag[i - 1];
+    diag[i] -= factor * sup[i - 1];
+    rhs[i] -= factor * rhs[i - 1];
+  }
+
+  for (let i = n - 2; i >= 1; i--) {
+    m[i] = (rhs[i] - sup[i] * m[i + 1]) / diag[i];
+  }
+
+  return m;
+}
+
+// Polynomial coefficients of the spline piece on [xs[i], xs[i+1]] in dx = x − xs[i]
+function splinePiece(xs, ys, m, i) {
+  const h = xs[i + 1] - xs[i];
+  return {
+    h: h,
+    a: ys[i],
+    b: (ys[i + 1] - ys[i]) / h - h * (2 * m[i] + m[i + 1]) / 6,
+    c: m[i] / 2,
+    d: (m[i + 1] - m[i]) / (6 * h)
+  };
+}
+
+function evaluatePiece(piece, dx) {
+  return piece.a + dx * (piece.b + dx * (piece.c + dx * piece.d));
+}
+
+// Roots of b + 2c·dx + 3d·dx² in [0, h)
+function derivativeRoots(piece) {
+  const A = 3 * piece.d;
+  const B = 2 * piece.c;
+  const C = piece.b;
+  const roots = [];
+
+  if (Math.abs(A) < 1e-12) {
+    if (Math.abs(B) > 1e-12) roots.push(-C / B);
+  } else {
+    const discriminant = B * B - 4 * A * C;
+    if (discriminant >= 0) {
+      const sqrt = Math.sqrt(discriminant);
+      roots.push((-B - sqrt) / (2 * A), (-B + sqrt) / (2 * A));
+    }
+  }
+
+  return roots.filter(dx => dx >= 0 && dx < piece.h).sort((x, y) => x - y);
+}
+
+// Height noise floor from the precision the values are reported with
+// (e.g. centimetres → 0.01 / √12), never below a millimetre
+function estimateHeightNoise(values) {
+  const decimals = Math.max(...values.map(v => {
+    const text = String(v);
+    const dot = text.indexOf('.');
+    return dot === -1 ? 0 : text.length - dot - 1;
+  }));
+  return Math.max(Math.pow(10, -Math.min(decimals, 6)) / Math.sqrt(12), 0.001);
+}
+
+// Parabolic (3-point) time of the sampled extreme nearest to x, for comparison
+function parabolicOffsetHours(xs, ys, i) {
+  if (i < 1 || i >= xs.length - 1) return null;
+  const divisor = 2 * (ys[i - 1] - 2 * ys[i] + ys[i + 1]);
+  if (divisor === 0) return xs[i];
+  return xs[i] + (ys[i - 1] - ys[i + 1]) / divisor * (xs[i + 1] - xs[i]);
+}
+
+// Find HIGH/LOW candidates in { time[], sea_level_height_msl[] } from a cubic
+// spline, in the getPreciseTides() candidate format plus uncertaintyMinutes and
+// heightUncertainty. Null gaps split the series into separate splines
+export function findSplineExtremes(hourlyData) {
+  const times = hourlyData.time;
+  const seaLevels = hourlyData.sea_level_height_msl;
+  const candidates = [];
+
+  const segments = splitSegments(seaLevels);
+  const validValues = seaLevels.filter(v => v != null);
+  if (validValues.length === 0) return candidates;
+  const heightNoise = estimateHeightNoise(validValues);
+  const originMs = new Date(times[0]).getTime();
+
+  segments.filter(segment => segment.length >= 3).forEach(segment => {
+    const xs = segment.map(i => (new Date(times[i]).getTime() - originMs) / HOUR_MS);
+    const ys = segment.map(i => seaLevels[i]);
+    const m = splineSecondDerivatives(xs, ys);
+
+    // Skip the outer pieces: a natural spline's end conditions bend them artificially
+    for (let k = 1; k < xs.length - 2; k++) {
+      const piece = splinePiece(xs, ys, m, k);
+
+      derivativeRoots(piece).forEach(dx => {
+        const curvature = 2 * piece.c + 6 * piece.d * dx;
+        if (curvature === 0) return;
+
+        const x = xs[k] + dx;
+        const height = evaluatePiece(piece, dx);
+        const isHigh = curvature < 0;
+        const nearestSample = dx < piece.h / 2 ? k : k + 1;
+
+        // Prominence against the spline an hour either side
+        const before = evaluateSplineAt(xs, ys, m, x - 1);
+        const after = evaluateSplineAt(xs, ys, m, x + 1);
+        const prominence = Math.abs(height - ((before + after) / 2));
+
+        // Timing uncertainty: how far the time can move while the height stays
+        // within the noise floor, combined with disagreement from the 3-point fit
+        const noiseHours = Math.sqrt(2 * heightNoise / Math.abs(curvature));
+        const parabolic = parabolicOffsetHours(xs, ys, nearestSample);
+        const methodHours = parabolic != null ? Math.abs(parabolic - x) / 2 : 0;
+        const uncertaintyHours = Math.min(Math.hypot(noiseHours, methodHours), 3);
+
+        const preciseTime = new Date(originMs + x * HOUR_MS);
+        candidates.push({
+          type: isHigh ? 'HIGH' : 'LOW',
+          time: preciseTime.toISOString(),
+          timeMs: preciseTime.getTime(),
+          height: height.toFixed(2),
+          prominence: prominence,
+          index: segment[nearestSample],
+          uncertaintyMinutes: Math.round(uncertaintyHours * 60),
+          heightUncertainty: heightNoise
+        });
+      });
+    }
+  });
+
+  return candidates;
+}
+
+// Sea level and its rate of change (metres per hour) at timeMs, read off the
+// spline through the run of samples around it. Null outside the data or in a gap
+export function interpolateSeries(hourlyData, timeMs) {
+  const times = hourlyData.time;
+  const seaLevels = hourlyData.sea_level_height_msl;
+  const originMs = new Date(times[0]).getTime();
+  const x = (timeMs - originMs) / HOUR_MS;
+
+  for (const segment of splitSegments(seaLevels)) {
+    if (segment.length < 2) continue;
+
+    const xs = segment.map(i => (new Date(times[i]).getTime() - originMs) / HOUR_MS);
+    if (x < xs[0] || x > xs[xs.length - 1]) continue;
+
+    const ys = segment.map(i => seaLevels[i]);
+    const m = splineSecondDerivatives(xs, ys);
+    let k = 0;
+    while (k < xs.length - 2 && x > xs[k + 1]) k++;
+
+    const piece = splinePiece(xs, ys, m, k);
+    const dx = x - xs[k];
+    return {
+      height: evaluatePiece(piece, dx),
+      rate: piece.b + dx * (2 * piece.c + dx * 3 * piece.d)
+    };
+  }
+
+  return null;
+}
+
+// Runs of consecutive non-null samples, as lists of indices
+function splitSegments(seaLevels) {
+  const segments = [];
+  let current = [];
+  seaLevels.forEach((height, i) => {
+    if (height == null) {
+      if (current.length > 0) segments.push(current);
+      current = [];
+    } else {
+      current.push(i);
+    }
+  });
+  if (current.length > 0) segments.push(current);
+  return segments;
+}
+
+function evaluateSplineAt(xs, ys, m, x) {
+  let k = 0;
+  while (k < xs.length - 2 && x > xs[k + 1]) k++;
+  return evaluatePiece(splinePiece(xs, ys, m, k), x - xs[k]);
+}
@@ -0,0 +1,108 @@
+// Sun position for a location, computed locally (low-precision solar
+// coordinates, good to about a minute for sunrise/sunset). Pure functions, no DOM
+const DEG = Math.PI / 180;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const J2000_MS = Date.UTC(2000, 0, 1, 12, 0, 0);
+
+// Sun's centre at sunrise/sunset, allowing for refraction and the solar radius
+const HORIZON_DEGREES = -0.833;
+
+// Solar elevation above the horizon in degrees at timeMs for lat/lon
+export function getSolarElevation(timeMs, lat, lon) {
+  const d = (timeMs - J2000_MS) / DAY_MS;
+
+  const meanAnomaly = (357.529 + 0.98560028 * d) * DEG;
+  const meanLongitude = 280.459 + 0.98564736 * d;
+  const eclipticLongitude = (meanLongitude + 1.915 * Math.sin(meanAnomaly) + 0.020 * Math.sin(2 * meanAnomaly)) * DEG;
+  const obliquity = (23.439 - 0.00000036 * d) * DEG;
+
+  const rightAscension = Math.atan2(Math.cos(obliquity) * Math.sin(eclipticLongitude), Math.cos(eclipticLongitude));
+  const declination = Math.asin(Math.sin(obliquity) * Math.sin(eclipticLongitude));
+
+  const siderealDegrees = 280.46061837 + 360.98564736629 * d;
+  const hourAngle = (siderealDegrees + lon) * DEG - rightAscension;
+
+  const sinElevation = Math.sin(lat * DEG) * Math.sin(declination) +
+    Math.cos(lat * DEG) * Math.cos(declination) * Math.cos(hourAngle);
+  return Math.asin(sinElevation) / DEG;
+}
+
+// Whether the sun is up (centre above the refracted horizon) at timeMs
+export function isDaylight(timeMs, lat, lon) {
+  return getSolarElevation(timeMs, lat, lon) > HORIZON_DEGREES;
+}
+
+// Sunrise and sunset between startMs and endMs, in time order:
+// [{ type: 'sunrise' | 'sunset', timeMs }]. Found by stepping through the range
+// and bisecting each horizon crossing; polar day or night gives none
+export function getSunEvents(startMs, endMs, lat, lon) {
+  const stepMs = 10 * 60 * 1000;
+  const events = [];
+  let previousMs = startMs;
+  let previousUp = isDaylight(startMs, lat, lon);
+
+  for (let timeMs = startMs + stepMs; timeMs <= endMs + stepMs; timeMs += stepMs) {
+    const up = isDaylight(timeMs, lat, lon);
+    if (up !== previousUp) {
+      let lowMs = previousMs;
+      let highMs = timeMs;
+      while (highMs - lowMs > 30 * 1000) {
+        const middleMs = (lowMs + highMs) / 2;
+        if (isDaylight(middleMs, lat, lon) === previousUp) {
+          lowMs = middleMs;
+        } else {
+          highMs = middleMs;
+        }
+      }
+      const crossingMs = Math.round((lowMs + highMs) / 2);
+      if (crossingMs >= startMs && crossingMs <= endMs) {
+        events.push({ type: up ? 'sunrise' : 'sunset', timeMs: crossingMs });
+      }
+    }
+    previousMs = timeMs;
+    previousUp = up;
+  }
+
+  return events;
+}
+
+// Night periods (sun below the horizon) overlapping startMs–endMs, clipped to it
+export function getNightPeriods(startMs, endMs, lat, lon) {
+  const periods = [];
+  let nightStart = isDaylight(startMs, lat, lon) ? null : startMs;
+
+  getSunEvents(startMs, endMs, lat, lon).forEach(event => {
+    if (event.type === 'sunset') {
+      nightStart = event.timeMs;
+    } else if (nightStart !== null) {
+      periods.push({ start: nightStart, end: event.timeMs });
+      nightStart = null;
+    }
+  });
+  if (nightStart !== null) periods.push({ start: nightStart, end: endMs });
+
+  return periods;
+}
+
+// Next sunrise and sunset after timeMs (null in polar day or night)
+export function getNextSunTimes(timeMs, lat, lon) {
+  const events = getSunEvents(timeMs, timeMs + DAY_MS + 60 * 60 * 1000, lat, lon);
+  const sunrise = events.find(e => e.type === 'sunrise');
+  const sunset = events.find(e => e.type === 'sunset');
+  return {
+    sunrise: sunrise ? sunrise.timeMs : null,
+    sunset: sunset ? sunset.timeMs : null
+  };
+}
+
+// Part of the day for the automatic theme, from the sun at the location:
+// 'night' past civil twilight, 'morning' while the sun climbs, 'afternoon'
+// while it's high after noon, 'evening' once it drops below 10°
+export function getDayPeriod(timeMs, lat, lon) {
+  const elevation = getSolarElevation(timeMs, lat, lon);
+  if (elevation < -6) return 'night';
+
+  const rising = getSolarElevation(timeMs + 10 * 60 * 1000, lat, lon) > elevation;
+  if (rising) return 'morning';
+  return elevation >= 10 ? 'afternoon' : 'evening';
+}
@@ -0,0 +1,64 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { hasSeaLevelData, findNearestCoastalPoint, destinationPoint } from '../coastal.js';
+import { NetworkError } from '../http.js';
+
+// Marine API answer for one day, with or without modelled sea level
+function marineResponse(levels) {
+  return new Response(JSON.stringify({ hourly: { time: [], sea_level_height_msl: levels } }));
+}
+
+const offline = () => Promise.reject(new TypeError('fetch failed'));
+
+describe('destinationPoint', () => {
+  it('moves along a bearing by the given distance', () => {
+    const point = destinationPoint(0, 0, 111.19, 90);
+
+    assert.ok(Math.abs(point.latitude) < 1e-6);
+    assert.ok(Math.abs(point.longitude - 1) < 0.001);
+  });
+});
+
+describe('hasSeaLevelData', () => {
+  it('is true when any hour has sea level', async t => {
+    t.mock.method(globalThis, 'fetch', async () => marineResponse([null, 0.4]));
+    assert.equal(await hasSeaLevelData(38.69, -9.42), true);
+  });
+
+  it('is false for an inland point and for a response that cannot be read', async t => {
+    t.mock.method(globalThis, 'fetch', async () => marineResponse([null, null]));
+    assert.equal(await hasSeaLevelData(48.85, 2.35), false);
+
+    t.mock.method(globalThis, 'fetch', async () => new Response('<html></html>'));
+    assert.equal(await hasSeaLevelData(48.85, 2.35), false);
+  });
+
+  it('throws NetworkError when the service cannot be reached', async t => {
+    t.mock.method(globalThis, 'fetch', offline);
+    await assert.rejects(hasSeaLevelData(38.69, -9.42), NetworkError);
+  });
+});
+
+describe('findNearestCoastalPoint', () => {
+  it('returns the first point with sea level, searching outwards', async t => {
+    // Sea to the west of 10 km and beyond
+    t.mock.method(globalThis, 'fetch', async url => {
+      const params = new URL(url).searchParams;
+      return marineResponse([Number(params.get('longitude')) < -9.5 ? 0.4 : null]);
+    });
+
+    const point = await findNearestCoastalPoint(38.69, -9.42);
+
+    assert.equal(point.distanceKm, 10);
+    assert.ok(point.longitude < -9.5);
+  });
+
+  it('stops at the first ring when the service cannot be reached', async t => {
+    const fetch = t.mock.method(globalThis, 'fetch', offline);
+
+    await assert.rejects(findNearestCoastalPoint(38.69, -9.42), NetworkError);
+    // Eight probes in the first ring, each tried at most twice
+    assert.ok(fetch.mock.callCount() <= 16, `${fetch.mock.callCount()} requests`);
+  });
+});
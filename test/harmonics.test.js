@@ -0,0 +1,147 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  fitHarmonicModel,
+  createHarmonicModel,
+  parseConstituentText,
+  predictSeries,
+  predictTides,
+  predictOfflineForecast,
+  getPredictionHorizon
+} from '../harmonics.js';
+import { maxTimingErrorMinutes, START_MS } from './synthetic-tides.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// K2 and P1 need half a year to resolve, so they sit at their equilibrium
+// ratios to S2 and K1, where a month-long fit infers them
+const KNOWN = createHarmonicModel(0.12, [
+  { name: 'M2', amplitude: 1.1, phase: 95 },
+  { name: 'S2', amplitude: 0.38, phase: 130 },
+  { name: 'N2', amplitude: 0.21, phase: 70 },
+  { name: 'K2', amplitude: 0.38 * 0.272, phase: 130 },
+  { name: 'K1', amplitude: 0.32, phase: 210 },
+  { name: 'O1', amplitude: 0.22, phase: 190 },
+  { name: 'P1', amplitude: 0.32 * 0.331, phase: 210 }
+]);
+
+// Smallest difference between two phases in degrees
+function phaseDifference(a, b) {
+  const difference = Math.abs(a - b) % 360;
+  return Math.min(difference, 360 - difference);
+}
+
+describe('fitHarmonicModel', () => {
+  const model = fitHarmonicModel(predictSeries(KNOWN, START_MS, START_MS + 30 * DAY_MS));
+
+  it('recovers the amplitudes and phases of a 30-day series', () => {
+    assert.ok(Math.abs(model.datum - KNOWN.datum) < 0.005);
+
+    KNOWN.constituents.forEach(known => {
+      const fitted = model.constituents.find(c => c.name === known.name);
+      assert.ok(fitted, `${known.name} not fitted`);
+      assert.equal(fitted.inferred, ['K2', 'P1'].includes(known.name));
+      assert.ok(Math.abs(fitted.amplitude - known.amplitude) < 0.005, `${known.name} amplitude ${fitted.amplitude}`);
+      assert.ok(phaseDifference(fitted.phase, known.phase) < 1, `${known.name} phase ${fitted.phase}`);
+    });
+
+    model.constituents
+      .filter(c => !KNOWN.constituents.some(known => known.name === c.name))
+      .forEach(c => assert.ok(c.amplitude < 0.005, `spurious ${c.name} of ${c.amplitude} m`));
+  });
+
+  it('reports the residual against its source data', () => {
+    assert.ok(model.fit.rmsError < 0.002);
+    assert.ok(model.fit.maxError >= model.fit.rmsError);
+    assert.equal(model.fit.samples, 30 * 24 + 1);
+  });
+
+  it('extrapolates event times within 2 minutes a month past the data', () => {
+    const startMs = START_MS + 60 * DAY_MS;
+    const expected = predictTides(KNOWN, startMs, startMs + 3 * DAY_MS);
+    const predicted = predictTides(model, startMs, startMs + 3 * DAY_MS);
+
+    assert.deepEqual(predicted.map(t => t.type), expected.map(t => t.type));
+    assert.ok(maxTimingErrorMinutes(predicted, expected) <= 2);
+  });
+
+  it('infers the constituents two days of data cannot resolve', () => {
+    // Constituents at their equilibrium ratios with a shared phase lag, as inference assumes
+    const equilibrium = createHarmonicModel(0, [
+      { name: 'M2', amplitude: 1, phase: 40 },
+      { name: 'S2', amplitude: 0.465, phase: 40 },
+      { name: 'N2', amplitude: 0.194, phase: 40 },
+      { name: 'K2', amplitude: 0.465 * 0.272, phase: 40 },
+      { name: 'K1', amplitude: 0.3, phase: 300 },
+      { name: 'O1', amplitude: 0.3 * 0.71, phase: 300 },
+      { name: 'P1', amplitude: 0.3 * 0.331, phase: 300 },
+      { name: 'Q1', amplitude: 0.3 * 0.71 * 0.194, phase: 300 }
+    ]);
+    const shortModel = fitHarmonicModel(predictSeries(equilibrium, START_MS, START_MS + 2 * DAY_MS));
+    const s2 = shortModel.constituents.find(c => c.name === 'S2');
+
+    assert.equal(s2.inferred, true);
+    assert.ok(Math.abs(s2.amplitude - 0.465) < 0.005);
+
+    const startMs = START_MS + 4 * DAY_MS;
+    const expected = predictTides(equilibrium, startMs, startMs + DAY_MS);
+    const predicted = predictTides(shortModel, startMs, startMs + DAY_MS);
+    assert.deepEqual(predicted.map(t => t.type), expected.map(t => t.type));
+    assert.ok(maxTimingErrorMinutes(predicted, expected) <= 2);
+  });
+
+  it('returns null for a series shorter than a tidal cycle', () => {
+    assert.equal(fitHarmonicModel(predictSeries(KNOWN, START_MS, START_MS + 6 * HOUR_MS)), null);
+  });
+});
+
+describe('predictOfflineForecast', () => {
+  // Two days of data ending a day after START_MS
+  const model = fitHarmonicModel(predictSeries(KNOWN, START_MS - DAY_MS, START_MS + DAY_MS));
+
+  it('stops a fitted model as far past its data as the data spans', () => {
+    assert.equal(getPredictionHorizon(model), START_MS + 3 * DAY_MS);
+
+    const forecast = predictOfflineForecast(model, 7, START_MS + 2 * HOUR_MS);
+    const lastTime = new Date(forecast.hourly.time[forecast.hourly.time.length - 1]).getTime();
+
+    assert.ok(lastTime <= START_MS + 3 * DAY_MS);
+    assert.equal(forecast.prediction.truncated, true);
+    assert.equal(forecast.prediction.fitDays, 2);
+    assert.ok(forecast.prediction.inferred.includes('S2'));
+    assert.ok(forecast.tides.length > 0);
+  });
+
+  it('returns null once the horizon has passed', () => {
+    assert.equal(predictOfflineForecast(model, 7, START_MS + 4 * DAY_MS), null);
+  });
+
+  it('does not limit published constituents', () => {
+    const forecast = predictOfflineForecast(KNOWN, 30, START_MS);
+
+    assert.equal(getPredictionHorizon(KNOWN), Infinity);
+    assert.equal(forecast.prediction.truncated, false);
+    assert.deepEqual(forecast.prediction.inferred, []);
+    assert.equal(new Date(forecast.hourly.time[forecast.hourly.time.length - 1]).getTime(), START_MS + 30 * DAY_MS);
+  });
+});
+
+describe('parseConstituentText', () => {
+  it('reads constituents and the datum offset', () => {
+    const model = parseConstituentText('Z0 0.05\nm2 1.234 123.4\nK1, 0.3, 200');
+
+    assert.equal(model.datum, 0.05);
+    assert.deepEqual(model.constituents, [
+      { name: 'M2', amplitude: 1.234, phase: 123.4 },
+      { name: 'K1', amplitude: 0.3, phase: 200 }
+    ]);
+  });
+
+  it('rejects unknown names and malformed lines', () => {
+    assert.throws(() => parseConstituentText('XX 1 2'), /Unknown tidal constituent/);
+    assert.throws(() => parseConstituentText('M2 1'), /Invalid constituent line/);
+    assert.throws(() => parseConstituentText(''), /No tidal constituents/);
+  });
+});
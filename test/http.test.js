@@ -0,0 +1,195 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+
+import {
+  fetchJson,
+  HttpError,
+  TimeoutError,
+  NetworkError,
+  InvalidResponseError,
+  RequestCancelledError
+} from '../http.js';
+
+// Local server on a free port. Each test sets handler(request, response) and
+// reads requestCount afterwards
+let server;
+let baseUrl;
+let handler;
+let requestCount;
+
+function sendJson(response, status, body, headers = {}) {
+  response.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  response.end(JSON.stringify(body));
+}
+
+before(async () => {
+  server = createServer((request, response) => {
+    requestCount++;
+    handler(request, response);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+  requestCount = 0;
+  handler = (request, response) => sendJson(response, 200, { ok: true });
+});
+
+// Never answers; the connection is dropped when the server closes
+const hang = () => {};
+
+// Sends the headers and the start of a body, then stalls
+const stallBody = (request, response) => {
+  response.writeHead(200, { 'Content-Type': 'application/json' });
+  response.write('{"predictions": [');
+};
+
+describe('fetchJson', () => {
+  it('returns the parsed JSON body', async () => {
+    assert.deepEqual(await fetchJson(`${baseUrl}/ok`), { ok: true });
+    assert.equal(requestCount, 1);
+  });
+
+  it('throws TimeoutError when the server does not answer in time', async () => {
+    handler = hang;
+    await assert.rejects(fetchJson(`${baseUrl}/slow`, { timeoutMs: 100, retries: 0 }), TimeoutError);
+  });
+
+  it('times out a body that stops arriving after the headers', async () => {
+    handler = stallBody;
+    await assert.rejects(fetchJson(`${baseUrl}/stalled`, { timeoutMs: 200, retries: 0 }), TimeoutError);
+  });
+
+  it('retries a timeout', async () => {
+    handler = hang;
+    await assert.rejects(fetchJson(`${baseUrl}/slow`, { timeoutMs: 50, retries: 1 }), TimeoutError);
+    assert.equal(requestCount, 2);
+  });
+
+  it('retries 5xx responses up to the retry count', async () => {
+    handler = (request, response) => sendJson(response, 503, {}, { 'Retry-After': '0' });
+
+    await assert.rejects(fetchJson(`${baseUrl}/down`), error => error instanceof HttpError && error.status === 503);
+    assert.equal(requestCount, 3);
+  });
+
+  it('retries 429 and succeeds once the server recovers', async () => {
+    handler = (request, response) => {
+      if (requestCount < 3) {
+        sendJson(response, 429, {}, { 'Retry-After': '0' });
+      } else {
+        sendJson(response, 200, { attempt: requestCount });
+      }
+    };
+
+    assert.deepEqual(await fetchJson(`${baseUrl}/busy`), { attempt: 3 });
+  });
+
+  it('waits for Retry-After before retrying', async () => {
+    handler = (request, response) => {
+      if (requestCount === 1) {
+        sendJson(response, 429, {}, { 'Retry-After': '1' });
+      } else {
+        sendJson(response, 200, { ok: true });
+      }
+    };
+
+    const startMs = Date.now();
+    await fetchJson(`${baseUrl}/busy`);
+    assert.ok(Date.now() - startMs >= 950);
+    assert.equal(requestCount, 2);
+  });
+
+  it('backs off between retries without Retry-After', async () => {
+    handler = (request, response) => sendJson(response, 500, {});
+
+    const startMs = Date.now();
+    await assert.rejects(fetchJson(`${baseUrl}/error`, { retries: 1 }), HttpError);
+    assert.ok(Date.now() - startMs >= 450);
+    assert.equal(requestCount, 2);
+  });
+
+  it('does not retry other 4xx responses', async () => {
+    handler = (request, response) => sendJson(response, 404, { error: 'Not found' });
+
+    await assert.rejects(fetchJson(`${baseUrl}/missing`), error => error instanceof HttpError && error.status === 404);
+    assert.equal(requestCount, 1);
+  });
+
+  it('returns the JSON body of a 4xx response with acceptErrorJson', async () => {
+    handler = (request, response) => sendJson(response, 400, { status: 400, error: 'Invalid api key' });
+
+    assert.deepEqual(await fetchJson(`${baseUrl}/key`, { acceptErrorJson: true }), { status: 400, error: 'Invalid api key' });
+    assert.equal(requestCount, 1);
+  });
+
+  it('still retries 429 with acceptErrorJson', async () => {
+    handler = (request, response) => sendJson(response, 429, { error: 'Too many requests' }, { 'Retry-After': '0' });
+
+    await assert.rejects(fetchJson(`${baseUrl}/busy`, { acceptErrorJson: true, retries: 1 }), HttpError);
+    assert.equal(requestCount, 2);
+  });
+
+  it('throws InvalidResponseError for a body that is not JSON, without retrying', async () => {
+    handler = (request, response) => {
+      response.writeHead(200, { 'Content-Type': 'text/html' });
+      response.end('<html><body>Service unavailable</body></html>');
+    };
+
+    await assert.rejects(fetchJson(`${baseUrl}/html`), InvalidResponseError);
+    assert.equal(requestCount, 1);
+  });
+
+  it('throws NetworkError when nothing listens', async () => {
+    const closed = createServer();
+    await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+    const url = `http://127.0.0.1:${closed.address().port}/`;
+    await new Promise(resolve => closed.close(resolve));
+
+    await assert.rejects(fetchJson(url, { retries: 0 }), NetworkError);
+  });
+
+  it('cancels a request in flight', async () => {
+    handler = hang;
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 50);
+
+    await assert.rejects(fetchJson(`${baseUrl}/slow`, { signal: controller.signal }), RequestCancelledError);
+    assert.equal(requestCount, 1);
+  });
+
+  it('cancels while the body is downloading', async () => {
+    handler = stallBody;
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 100);
+
+    await assert.rejects(fetchJson(`${baseUrl}/stalled`, { timeoutMs: 5000, signal: controller.signal }), RequestCancelledError);
+    assert.equal(requestCount, 1);
+  });
+
+  it('cancels while waiting to retry', async () => {
+    handler = (request, response) => sendJson(response, 503, {}, { 'Retry-After': '5' });
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 100);
+
+    const startMs = Date.now();
+    await assert.rejects(fetchJson(`${baseUrl}/down`, { signal: controller.signal }), RequestCancelledError);
+    assert.ok(Date.now() - startMs < 2000);
+    assert.equal(requestCount, 1);
+  });
+
+  it('does not send a request with an already cancelled signal', async () => {
+    const controller = new AbortController();
+    controller.abort();
+
+    await assert.rejects(fetchJson(`${baseUrl}/ok`, { signal: controller.signal }), RequestCancelledError);
+    assert.equal(requestCount, 0);
+  });
+});
@@ -0,0 +1,151 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import * as noaa from '../providers/noaa.js';
+import * as worldTides from '../providers/worldtides.js';
+import * as openMeteo from '../providers/open-meteo.js';
+import { ProviderError } from '../providers/errors.js';
+import { fetchForecast } from '../providers/index.js';
+import { createHarmonicModel } from '../harmonics.js';
+
+// Sample API responses in test/fixtures, one day from 2024-06-01 00:00 UTC
+function loadFixture(name) {
+  return JSON.parse(readFileSync(new URL(`./fixtures/${name}.json`, import.meta.url), 'utf8'));
+}
+
+describe('NOAA CO-OPS', () => {
+  describe('findNearestStation', () => {
+    const stations = loadFixture('noaa-stations');
+
+    it('picks the closest station with its distance', () => {
+      const station = noaa.findNearestStation(stations, 40.6892, -74.0445);
+
+      assert.equal(station.id, '8518750');
+      assert.equal(station.name, 'The Battery');
+      assert.ok(station.distance > 2 && station.distance < 4, `${station.distance} km`);
+    });
+
+    it('reports the distance for a location far from every station', () => {
+      const station = noaa.findNearestStation(stations, 38.69, -9.42);
+      assert.ok(station.distance > 5000);
+    });
+
+    it('returns null without stations', () => {
+      assert.equal(noaa.findNearestStation({}, 40.7, -74), null);
+      assert.equal(noaa.findNearestStation({ stations: [] }, 40.7, -74), null);
+    });
+  });
+
+  describe('parseResponse', () => {
+    it('normalizes hourly and hi/lo predictions', () => {
+      const { hourly, tides, timezone } = noaa.parseResponse(loadFixture('noaa-hourly'), loadFixture('noaa-hilo'));
+
+      assert.equal(hourly.time.length, 24);
+      assert.equal(hourly.time[0], '2024-06-01T00:00:00.000Z');
+      assert.equal(hourly.time[23], '2024-06-01T23:00:00.000Z');
+      assert.ok(hourly.sea_level_height_msl.every(Number.isFinite));
+      assert.equal(timezone, null);
+
+      assert.deepEqual(tides.map(t => t.type), ['HIGH', 'LOW', 'HIGH', 'LOW']);
+      assert.equal(tides[0].timeMs, Date.UTC(2024, 5, 1, 1, 46));
+      assert.equal(tides[1].height, '-1.05');
+    });
+
+    it('turns empty values into null samples', () => {
+      const hourlyJson = loadFixture('noaa-hourly');
+      hourlyJson.predictions[5].v = '';
+
+      assert.equal(noaa.parseResponse(hourlyJson, null).hourly.sea_level_height_msl[5], null);
+    });
+
+    it('throws the NOAA error message', () => {
+      assert.throws(
+        () => noaa.parseResponse(loadFixture('noaa-error'), null),
+        error => error instanceof ProviderError && /^NOAA: No Predictions data was found/.test(error.message)
+      );
+    });
+
+    it('leaves events to be found in the series when the hi/lo request failed', () => {
+      assert.equal(noaa.parseResponse(loadFixture('noaa-hourly'), loadFixture('noaa-error')).tides, null);
+      assert.equal(noaa.parseResponse(loadFixture('noaa-hourly'), null).tides, null);
+    });
+  });
+});
+
+describe('WorldTides parseResponse', () => {
+  it('normalizes heights and extremes', () => {
+    const { hourly, tides, timezone } = worldTides.parseResponse(loadFixture('worldtides-success'));
+
+    assert.equal(hourly.time.length, 24);
+    assert.equal(hourly.time[0], '2024-06-01T00:00:00.000Z');
+    assert.equal(hourly.sea_level_height_msl.length, 24);
+    assert.equal(timezone, null);
+
+    assert.deepEqual(tides.map(t => t.type), ['HIGH', 'LOW', 'HIGH', 'LOW']);
+    assert.equal(tides[2].height, '0.85');
+  });
+
+  it('throws the error from a bad API key', () => {
+    assert.throws(
+      () => worldTides.parseResponse(loadFixture('worldtides-bad-key')),
+      error => error instanceof ProviderError && error.message === 'WorldTides: Invalid api key'
+    );
+  });
+
+  it('throws on a non-200 status without an error message', () => {
+    assert.throws(() => worldTides.parseResponse({ status: 503 }), /WorldTides: status 503/);
+  });
+});
+
+describe('Open-Meteo parseResponse', () => {
+  it('normalizes sea level, conditions and timezone', () => {
+    const json = loadFixture('open-meteo-success');
+    const { hourly, tides, conditions, timezone } = openMeteo.parseResponse(json);
+
+    assert.equal(hourly.time[0], '2024-06-01T00:00:00.000Z');
+    assert.deepEqual(hourly.sea_level_height_msl, json.hourly.sea_level_height_msl);
+    assert.equal(tides, null);
+    assert.equal(timezone, 'Europe/Lisbon');
+
+    assert.equal(conditions.time, hourly.time);
+    assert.deepEqual(Object.keys(conditions).sort(), ['sea_surface_temperature', 'time', 'wave_direction', 'wave_height', 'wave_period']);
+  });
+
+  it('returns no data when hourly is missing', () => {
+    assert.deepEqual(openMeteo.parseResponse(loadFixture('open-meteo-no-hourly')), {
+      hourly: null,
+      tides: null,
+      conditions: null,
+      timezone: 'Europe/Lisbon'
+    });
+  });
+
+  it('has no conditions for a sea-level-only response', () => {
+    const json = loadFixture('open-meteo-success');
+    json.hourly = { time: json.hourly.time, sea_level_height_msl: json.hourly.sea_level_height_msl };
+
+    assert.equal(openMeteo.parseResponse(json).conditions, null);
+  });
+});
+
+describe('fetchForecast', () => {
+  const settings = { forecastDays: 2, providerApiKeys: {} };
+
+  it('predicts offline without requesting conditions', async t => {
+    const fetch = t.mock.method(globalThis, 'fetch', () => Promise.reject(new TypeError('fetch failed')));
+    const location = {
+      id: 'harmonic-test',
+      latitude: 38.69,
+      longitude: -9.42,
+      provider: 'harmonic',
+      harmonicModel: createHarmonicModel(0, [{ name: 'M2', amplitude: 1, phase: 0 }])
+    };
+
+    const forecast = await fetchForecast(location, settings);
+
+    assert.equal(fetch.mock.callCount(), 0);
+    assert.ok(!forecast.conditions);
+    assert.ok(forecast.tides.length > 0);
+  });
+});
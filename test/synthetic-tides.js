@@ -0,0 +1,65 @@
+// Synthetic hourly sea-level series built from sinusoidal constituents, with
+// the exact HIGH/LOW times found by sampling the same curve every minute
+
+const HOUR_MS = 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+export const START_MS = Date.UTC(2024, 5, 1);
+
+// Periods (hours) of the constituents the tests combine
+export const PERIODS = {
+  M2: 12.4206,
+  S2: 12,
+  N2: 12.6583,
+  K1: 23.9345,
+  O1: 25.8193
+};
+
+// components: [{ period (hours), amplitude (m), phase (hours of lag) }]
+export function seaLevelAt(components, hours, mean = 0) {
+  return components.reduce(
+    (sum, c) => sum + c.amplitude * Math.cos(2 * Math.PI * (hours - (c.phase || 0)) / c.period),
+    mean
+  );
+}
+
+// Hourly series in the normalized provider shape (full UTC ISO times, as the
+// providers produce), heights rounded to centimetres
+export function buildSeries(components, { hours = 72, startMs = START_MS, mean = 0 } = {}) {
+  const time = [];
+  const seaLevels = [];
+
+  for (let i = 0; i < hours; i++) {
+    time.push(new Date(startMs + i * HOUR_MS).toISOString());
+    seaLevels.push(Math.round(seaLevelAt(components, i, mean) * 100) / 100);
+  }
+
+  return { time, sea_level_height_msl: seaLevels };
+}
+
+// Extremes of the continuous curve with a sample on either side of them
+// (an extreme in the first or last hour can't be found from the series)
+export function exactExtremes(components, { hours = 72, startMs = START_MS, mean = 0 } = {}) {
+  const events = [];
+  const lastMinute = (hours - 2) * 60;
+
+  let previous = seaLevelAt(components, 1, mean);
+  let current = seaLevelAt(components, 61 / 60, mean);
+  for (let minute = 62; minute <= lastMinute; minute++) {
+    const next = seaLevelAt(components, minute / 60, mean);
+    if (current > previous && current >= next) {
+      events.push({ type: 'HIGH', timeMs: startMs + (minute - 1) * MINUTE_MS, height: current });
+    } else if (current < previous && current <= next) {
+      events.push({ type: 'LOW', timeMs: startMs + (minute - 1) * MINUTE_MS, height: current });
+    }
+    previous = current;
+    current = next;
+  }
+
+  return events;
+}
+
+// Largest timing error in minutes between found and expected events, paired in order
+export function maxTimingErrorMinutes(found, expected) {
+  return Math.max(...found.map((event, i) => Math.abs(event.timeMs - expected[i].timeMs) / MINUTE_MS));
+}
@@ -0,0 +1,107 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildTideCalendar, buildTideCsv } from '../tide-export.js';
+import { createTideEvent } from '../tides.js';
+import { START_MS } from './synthetic-tides.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const LOCATION = {
+  id: 'loc-1',
+  name: 'Praia da Conceição, Cascais; Portugal',
+  latitude: 38.6979,
+  longitude: -9.4215,
+  timezone: 'Europe/Lisbon'
+};
+
+const TIDES = [
+  { ...createTideEvent('HIGH', START_MS + 2 * HOUR_MS + 15 * 60 * 1000, 1.234), label: 'higher-high' },
+  { ...createTideEvent('LOW', START_MS + 8 * HOUR_MS + 30 * 60 * 1000, -1.05), label: null }
+];
+
+const NOW = new Date(Date.UTC(2024, 4, 30, 9, 5, 0));
+
+// Join folded continuation lines back into content lines (RFC 5545 section 3.1)
+function unfold(ics) {
+  return ics.replace(/\r\n /g, '').split('\r\n');
+}
+
+describe('buildTideCalendar', () => {
+  const ics = buildTideCalendar(TIDES, LOCATION, { now: NOW });
+  const lines = unfold(ics);
+
+  it('writes a calendar with one event per tide and CRLF line endings', () => {
+    assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+    assert.ok(!/[^\r]\n/.test(ics), 'bare LF line ending');
+    assert.equal(lines[0], 'BEGIN:VCALENDAR');
+    assert.equal(lines.filter(line => line === 'BEGIN:VEVENT').length, 2);
+    assert.equal(lines.filter(line => line === 'END:VEVENT').length, 2);
+  });
+
+  it('writes event times and the stamp in UTC', () => {
+    assert.ok(lines.includes('DTSTART:20240601T021500Z'));
+    assert.ok(lines.includes('DTSTART:20240601T083000Z'));
+    assert.equal(lines.filter(line => line === 'DTSTAMP:20240530T090500Z').length, 2);
+    assert.ok(lines.includes(`UID:loc-1-HIGH-${TIDES[0].timeMs}@quick-tide-checker`));
+    assert.ok(lines.includes('X-WR-TIMEZONE:Europe/Lisbon'));
+  });
+
+  it('escapes commas, semicolons and newlines in text values', () => {
+    assert.ok(lines.includes('LOCATION:Praia da Conceição\\, Cascais\\; Portugal'));
+    assert.ok(lines.includes('SUMMARY:High tide 1.23 m'));
+
+    const description = lines.find(line => line.startsWith('DESCRIPTION:High tide'));
+    assert.equal(description,
+      'DESCRIPTION:High tide (higher high) at Praia da Conceição\\, Cascais\\; Portugal: 1.23 m\\nCoordinates: 38.6979\\, -9.4215');
+    assert.ok(lines.some(line => line.startsWith('DESCRIPTION:Low tide at ')), 'unlabelled tide has no label');
+  });
+
+  it('folds lines at 75 octets without splitting multi-byte characters', () => {
+    const physicalLines = ics.split('\r\n');
+    const encoder = new TextEncoder();
+
+    assert.ok(physicalLines.some(line => line.startsWith(' ')), 'expected a folded line');
+    physicalLines.forEach(line => {
+      assert.ok(encoder.encode(line).length <= 75, `${encoder.encode(line).length} octets: ${line}`);
+      assert.ok(!line.includes('�'));
+    });
+  });
+
+  it('names an unnamed location by its coordinates and converts heights', () => {
+    const unnamed = { id: 'loc-2', latitude: 38.6979, longitude: -9.4215, timezone: null };
+    const unnamedLines = unfold(buildTideCalendar(TIDES, unnamed, { heightUnit: 'ft', now: NOW }));
+
+    assert.ok(unnamedLines.includes('LOCATION:38.6979\\, -9.4215'));
+    assert.ok(unnamedLines.includes('SUMMARY:High tide 4.04 ft'));
+    assert.ok(!unnamedLines.some(line => line.startsWith('X-WR-TIMEZONE')));
+  });
+
+  it('writes an empty calendar without tides', () => {
+    const emptyLines = unfold(buildTideCalendar([], LOCATION, { now: NOW }));
+    assert.ok(!emptyLines.includes('BEGIN:VEVENT'));
+    assert.equal(emptyLines[emptyLines.length - 2], 'END:VCALENDAR');
+  });
+});
+
+describe('buildTideCsv', () => {
+  const hourly = {
+    time: [0, 1, 2, 3].map(h => new Date(START_MS + h * HOUR_MS).toISOString()),
+    sea_level_height_msl: [0.5, 1.1, null, 0.9]
+  };
+  const rows = buildTideCsv(hourly, TIDES.slice(0, 1), { timeZone: 'Europe/Lisbon' }).trimEnd().split('\n');
+
+  it('writes a header and one row per sample and event, in time order', () => {
+    assert.equal(rows[0], 'time_utc,time_local,type,label,sea_level_m');
+    assert.deepEqual(rows.slice(1).map(row => row.split(',')[2]), ['sample', 'sample', 'sample', 'HIGH', 'sample']);
+  });
+
+  it('writes UTC and local times, labels and heights in metres', () => {
+    assert.equal(rows[1], '2024-06-01T00:00:00.000Z,2024-06-01 01:00,sample,,0.500');
+    assert.equal(rows[4], '2024-06-01T02:15:00.000Z,2024-06-01 03:15,HIGH,higher-high,1.230');
+  });
+
+  it('leaves missing samples empty', () => {
+    assert.equal(rows[3], '2024-06-01T02:00:00.000Z,2024-06-01 03:00,sample,,');
+  });
+});
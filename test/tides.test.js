@@ -0,0 +1,260 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  getPreciseTides,
+  analyzeTides,
+  filterByTimeSeparation,
+  enforceAlternation,
+  labelTideEvents,
+  getNextTides,
+  getTimeUntil,
+  TIDE_REGIMES
+} from '../tides.js';
+import { buildSeries, exactExtremes, maxTimingErrorMinutes, PERIODS, START_MS } from './synthetic-tides.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const METHODS = ['parabolic', 'spline'];
+
+const SEMIDIURNAL = [{ period: PERIODS.M2, amplitude: 1.5, phase: 3 }];
+const DIURNAL = [{ period: PERIODS.K1, amplitude: 0.8, phase: 5 }];
+const MIXED_SEMIDIURNAL = [
+  { period: PERIODS.M2, amplitude: 0.8, phase: 2 },
+  { period: PERIODS.K1, amplitude: 0.5, phase: 7 }
+];
+const MIXED_DIURNAL = [
+  { period: PERIODS.K1, amplitude: 0.6, phase: 0 },
+  { period: PERIODS.M2, amplitude: 0.35, phase: 0 }
+];
+
+function assertAlternates(tides) {
+  for (let i = 1; i < tides.length; i++) {
+    assert.notEqual(tides[i].type, tides[i - 1].type, `${tides[i].type} twice in a row at ${tides[i].time}`);
+  }
+}
+
+// Each found event must sit within toleranceMinutes of a true extreme of the same type
+function assertNearExactEvents(found, expected, toleranceMinutes) {
+  found.forEach(event => {
+    const nearest = expected
+      .filter(e => e.type === event.type)
+      .reduce((best, e) => (Math.abs(e.timeMs - event.timeMs) < Math.abs(best.timeMs - event.timeMs) ? e : best));
+    const errorMinutes = Math.abs(nearest.timeMs - event.timeMs) / 60000;
+    assert.ok(errorMinutes <= toleranceMinutes, `${event.type} at ${event.time} is ${errorMinutes.toFixed(1)} min from the true extreme`);
+  });
+}
+
+describe('getPreciseTides / analyzeTides on synthetic curves', () => {
+  METHODS.forEach(method => {
+    it(`finds every semidiurnal extreme within 5 minutes (${method})`, () => {
+      const series = buildSeries(SEMIDIURNAL, { hours: 96 });
+      const expected = exactExtremes(SEMIDIURNAL, { hours: 96 });
+      const { tides, regime } = analyzeTides(series, { method });
+
+      assert.equal(regime.id, TIDE_REGIMES.SEMIDIURNAL.id);
+      assert.deepEqual(tides.map(t => t.type), expected.map(e => e.type));
+      assert.ok(maxTimingErrorMinutes(tides, expected) <= 5);
+    });
+
+    it(`finds every diurnal extreme within 10 minutes (${method})`, () => {
+      const series = buildSeries(DIURNAL, { hours: 96 });
+      const expected = exactExtremes(DIURNAL, { hours: 96 });
+      const { tides, regime } = analyzeTides(series, { method });
+
+      assert.equal(regime.id, TIDE_REGIMES.DIURNAL.id);
+      assert.deepEqual(tides.map(t => t.type), expected.map(e => e.type));
+      assert.ok(maxTimingErrorMinutes(tides, expected) <= 10);
+    });
+
+    it(`keeps the lower-high / higher-low pairs of a mixed tide (${method})`, () => {
+      const series = buildSeries(MIXED_SEMIDIURNAL, { hours: 96 });
+      const expected = exactExtremes(MIXED_SEMIDIURNAL, { hours: 96 });
+      const { tides, regime } = analyzeTides(series, { method });
+
+      assert.equal(regime.id, TIDE_REGIMES.MIXED_SEMIDIURNAL.id);
+      assert.deepEqual(tides.map(t => t.type), expected.map(e => e.type));
+      assert.ok(maxTimingErrorMinutes(tides, expected) <= 5);
+    });
+
+    it(`drops only the small wiggles of a mainly diurnal tide and keeps alternation (${method})`, () => {
+      const series = buildSeries(MIXED_DIURNAL, { hours: 96 });
+      const expected = exactExtremes(MIXED_DIURNAL, { hours: 96 });
+      const { tides, regime, quality } = analyzeTides(series, { method });
+
+      assert.equal(regime.id, TIDE_REGIMES.MIXED_DIURNAL.id);
+      assertAlternates(tides);
+      assertNearExactEvents(tides, expected, 30);
+      assert.equal(quality.confidence, 'high');
+
+      // Every extreme at least 0.2 m from both neighbours is a real tide: found within 10 minutes
+      expected.forEach((event, i) => {
+        const neighbours = [expected[i - 1], expected[i + 1]].filter(Boolean);
+        if (neighbours.some(n => Math.abs(n.height - event.height) < 0.2)) return;
+        assert.ok(
+          tides.some(t => t.type === event.type && Math.abs(t.timeMs - event.timeMs) <= 10 * 60 * 1000),
+          `missing ${event.type} at ${new Date(event.timeMs).toISOString()}`
+        );
+      });
+    });
+  });
+
+  it('getPreciseTides returns the events of analyzeTides', () => {
+    const series = buildSeries(SEMIDIURNAL);
+    assert.deepEqual(getPreciseTides(series), analyzeTides(series).tides);
+  });
+
+  it('returns no events for a flat series', () => {
+    const series = buildSeries([{ period: PERIODS.M2, amplitude: 0 }], { mean: 0.4 });
+    assert.deepEqual(analyzeTides(series).tides, []);
+  });
+});
+
+describe('null gaps', () => {
+  METHODS.forEach(method => {
+    it(`keeps exact timing away from the gap and both same-type events across it (${method})`, () => {
+      const series = buildSeries(SEMIDIURNAL, { hours: 96 });
+      const expected = exactExtremes(SEMIDIURNAL, { hours: 96 });
+
+      // Blank out the hours around one LOW so only the HIGHs either side remain
+      const hiddenLow = expected.find(e => e.type === 'LOW' && e.timeMs > START_MS + 36 * HOUR_MS);
+      const gapStart = Math.round((hiddenLow.timeMs - START_MS) / HOUR_MS) - 3;
+      for (let i = gapStart; i < gapStart + 6; i++) {
+        series.sea_level_height_msl[i] = null;
+      }
+
+      const { tides, quality } = analyzeTides(series, { method });
+      const aroundGap = tides.filter(t => Math.abs(t.timeMs - hiddenLow.timeMs) < 8 * HOUR_MS);
+
+      assert.deepEqual(aroundGap.map(t => t.type), ['HIGH', 'HIGH']);
+      assert.ok(!tides.some(t => t.type === 'LOW' && Math.abs(t.timeMs - hiddenLow.timeMs) < 3 * HOUR_MS));
+      assertNearExactEvents(tides, expected, 5);
+      assert.ok(quality.issues.some(issue => issue.code === 'data-gap'));
+    });
+  });
+
+  it('does not start or end an event on a null sample', () => {
+    const series = buildSeries(SEMIDIURNAL, { hours: 48 });
+    series.sea_level_height_msl[0] = null;
+    series.sea_level_height_msl[47] = null;
+
+    analyzeTides(series).tides.forEach(tide => {
+      assert.ok(Number.isFinite(tide.timeMs));
+      assert.ok(Number.isFinite(parseFloat(tide.height)));
+    });
+  });
+});
+
+describe('plateaus', () => {
+  // A tide clipped at ±1.2 m: flat tops and bottoms lasting several hours
+  function clippedSeries() {
+    const series = buildSeries(SEMIDIURNAL, { hours: 72 });
+    series.sea_level_height_msl = series.sea_level_height_msl.map(h => Math.max(-1.2, Math.min(1.2, h)));
+    return series;
+  }
+
+  // The clipped span is about 2.5 hours wide, centred on the true extreme
+  const PLATEAU_HALF_WIDTH_MINUTES = 75;
+  // The middle of a run of equal hourly samples is at most half a step from the true centre
+  const HALF_STEP_MINUTES = 35;
+
+  it('places one event at the middle of each flat top and bottom (parabolic)', () => {
+    const expected = exactExtremes(SEMIDIURNAL, { hours: 72 });
+    const { tides } = analyzeTides(clippedSeries(), { method: 'parabolic' });
+
+    assert.deepEqual(tides.map(t => t.type), expected.map(e => e.type));
+    assert.ok(maxTimingErrorMinutes(tides, expected) <= HALF_STEP_MINUTES);
+  });
+
+  it('places one event inside each flat top and bottom (spline)', () => {
+    const expected = exactExtremes(SEMIDIURNAL, { hours: 72 });
+    const { tides } = analyzeTides(clippedSeries(), { method: 'spline' });
+
+    assert.deepEqual(tides.map(t => t.type), expected.map(e => e.type));
+    assert.ok(maxTimingErrorMinutes(tides, expected) <= PLATEAU_HALF_WIDTH_MINUTES);
+  });
+
+  it('reports a plateau HIGH at the plateau height', () => {
+    const { tides } = analyzeTides(clippedSeries());
+    tides.filter(t => t.type === 'HIGH').forEach(t => assert.equal(t.height, '1.20'));
+  });
+});
+
+describe('filterByTimeSeparation', () => {
+  const event = (type, hours, prominence) => ({ type, timeMs: START_MS + hours * HOUR_MS, prominence, index: hours });
+
+  it('keeps the more prominent of two candidates closer than the minimum', () => {
+    const filtered = filterByTimeSeparation([event('HIGH', 0, 0.1), event('LOW', 2, 0.3), event('HIGH', 8, 0.2)]);
+    assert.deepEqual(filtered.map(e => e.timeMs), [START_MS + 2 * HOUR_MS, START_MS + 8 * HOUR_MS]);
+  });
+
+  it('keeps candidates at least the minimum apart', () => {
+    const candidates = [event('HIGH', 0, 0.1), event('LOW', 6, 0.1), event('HIGH', 12, 0.1)];
+    assert.deepEqual(filterByTimeSeparation(candidates), candidates);
+  });
+});
+
+describe('enforceAlternation', () => {
+  const event = (type, index, prominence) => ({ type, timeMs: START_MS + index * HOUR_MS, prominence, index });
+
+  it('merges same-type events in gap-free data, however far apart', () => {
+    const series = buildSeries(SEMIDIURNAL, { hours: 24 });
+    const merged = enforceAlternation([event('LOW', 2, 0.1), event('HIGH', 8, 0.2), event('HIGH', 20, 0.3)], series);
+    assert.deepEqual(merged.map(e => e.index), [2, 20]);
+  });
+
+  it('keeps same-type events with missing samples between them', () => {
+    const series = buildSeries(SEMIDIURNAL, { hours: 24 });
+    series.sea_level_height_msl[12] = null;
+    const kept = enforceAlternation([event('HIGH', 8, 0.2), event('HIGH', 20, 0.3)], series);
+    assert.equal(kept.length, 2);
+  });
+
+  it('never leaves two lows in a row on a gap-free mainly diurnal tide', () => {
+    const series = buildSeries(MIXED_DIURNAL, { hours: 96 });
+    METHODS.forEach(method => assertAlternates(analyzeTides(series, { method }).tides));
+  });
+});
+
+describe('labelTideEvents', () => {
+  const event = (type, height) => ({ type, height: height.toFixed(2) });
+
+  it('leaves equal semidiurnal highs and lows unlabelled', () => {
+    const { tides } = analyzeTides(buildSeries(SEMIDIURNAL, { hours: 96 }));
+    tides.forEach(t => assert.equal(t.label, null));
+  });
+
+  it('ignores centimetre rounding differences on a semidiurnal tide', () => {
+    const tides = labelTideEvents([event('HIGH', 1.5), event('LOW', -1.5), event('HIGH', 1.49), event('LOW', -1.51), event('HIGH', 1.5)]);
+    tides.forEach(t => assert.equal(t.label, null));
+  });
+
+  it('labels a clear semidiurnal inequality', () => {
+    const tides = labelTideEvents([event('HIGH', 1.5), event('LOW', -1.5), event('HIGH', 1.1), event('LOW', -1.5), event('HIGH', 1.5)]);
+    assert.deepEqual(tides.map(t => t.label), ['higher-high', null, 'lower-high', null, 'higher-high']);
+  });
+
+  it('labels every event of a mixed tide', () => {
+    const { tides } = analyzeTides(buildSeries(MIXED_SEMIDIURNAL, { hours: 96 }));
+    tides.forEach(t => assert.match(t.label, /^(higher|lower)-(high|low)$/));
+  });
+});
+
+describe('getNextTides / getTimeUntil', () => {
+  it('finds the next HIGH and LOW and the last event', () => {
+    const tides = analyzeTides(buildSeries(SEMIDIURNAL)).tides;
+    const now = new Date(tides[2].timeMs + 60 * 1000);
+    const { nextHigh, nextLow, lastTide } = getNextTides(tides, now);
+
+    assert.equal(lastTide, tides[2]);
+    assert.ok(nextHigh.timeMs > now.getTime() && nextLow.timeMs > now.getTime());
+    assert.ok([nextHigh, nextLow].includes(tides[3]));
+  });
+
+  it('formats the time remaining', () => {
+    const now = new Date(START_MS);
+    assert.equal(getTimeUntil(new Date(START_MS + 45 * 60 * 1000), now), 'in 45 min');
+    assert.equal(getTimeUntil(new Date(START_MS + 90 * 60 * 1000), now), 'in 1 hour 30 min');
+    assert.equal(getTimeUntil(new Date(START_MS + 5 * HOUR_MS), now), 'in 5 hours 0 min');
+    assert.equal(getTimeUntil(new Date(START_MS - 1000), now), 'Now');
+  });
+});
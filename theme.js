@@ -0,0 +1,41 @@
+// Popup / options page theme: automatic by time of day, or fixed light / dark
+import { getDayPeriod } from './sun.js';
+
+const THEME_CLASSES = ['morning', 'afternoon', 'evening', 'night', 'light', 'dark'];
+
+// location ({ latitude, longitude }) lets the automatic theme follow the sun there
+export function applyTheme(theme, location = null) {
+  if (theme === 'light' || theme === 'dark') {
+    document.body.classList.remove(...THEME_CLASSES);
+    document.body.classList.add(theme);
+  } else {
+    setTimeBasedTheme(location);
+  }
+}
+
+// Set time-based theme from the sun at the location, or from the browser's
+// clock hours when no location is known yet
+export function setTimeBasedTheme(location = null) {
+  const body = document.body;
+
+  // Remove all time classes
+  body.classList.remove(...THEME_CLASSES);
+
+  if (location) {
+    body.classList.add(getDayPeriod(Date.now(), location.latitude, location.longitude));
+    return;
+  }
+
+  const hour = new Date().getHours();
+
+  // Apply appropriate class based on time
+  if (hour >= 6 && hour < 12) {
+    body.classList.add('morning');
+  } else if (hour >= 12 && hour < 18) {
+    body.classList.add('afternoon');
+  } else if (hour >= 18 && hour < 24) {
+    body.classList.add('evening');
+  } else {
+    body.classList.add('night');
+  }
+}
@@ -0,0 +1,125 @@
+// Tide schedule export: an iCalendar file with one event per HIGH/LOW and a
+// CSV of the hourly series merged with the detected events. Pure functions
+// returning file contents; the popup turns them into downloads
+import { formatTideLabel } from './tides.js';
+import { formatHeight } from './units.js';
+
+// RFC 5545 text escaping
+function escapeText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Fold content lines longer than 75 octets onto continuation lines
+function foldLine(line) {
+  const bytes = new TextEncoder().encode(line);
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+  for (const char of line) {
+    const charBytes = new TextEncoder().encode(char).length;
+    const limit = parts.length === 0 ? 75 : 74; // continuation lines start with a space
+    if (currentBytes + charBytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+// e.g. 20261019T140500Z
+function formatUtcStamp(timeMs) {
+  return new Date(timeMs).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// iCalendar (.ics) text with one event per tide. Times are written in UTC so
+// every calendar places them correctly; X-WR-TIMEZONE tells calendars which
+// timezone to show them in by default
+export function buildTideCalendar(tides, location, { heightUnit = 'm', now = new Date() } = {}) {
+  const locationName = location.name || `${location.latitude.toFixed(4)}, ${location.longitude.toFixed(4)}`;
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Quick Tide Checker//Tide predictions//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(`Tides – ${locationName}`)}`
+  ];
+  if (location.timezone) {
+    lines.push(`X-WR-TIMEZONE:${location.timezone}`);
+  }
+
+  tides.forEach(tide => {
+    const typeName = tide.type === 'HIGH' ? 'High tide' : 'Low tide';
+    const height = formatHeight(tide.height, heightUnit);
+    const label = tide.label ? ` (${formatTideLabel(tide.label).toLowerCase()})` : '';
+    const description = `${typeName}${label} at ${locationName}: ${height}\nCoordinates: ${location.latitude.toFixed(4)}, ${location.longitude.toFixed(4)}`;
+
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${location.id}-${tide.type}-${tide.timeMs}@quick-tide-checker`,
+      `DTSTAMP:${formatUtcStamp(now.getTime())}`,
+      `DTSTART:${formatUtcStamp(tide.timeMs)}`,
+      `DTEND:${formatUtcStamp(tide.timeMs)}`,
+      `SUMMARY:${escapeText(`${typeName} ${height}`)}`,
+      `DESCRIPTION:${escapeText(description)}`,
+      `LOCATION:${escapeText(locationName)}`,
+      `GEO:${location.latitude.toFixed(6)};${location.longitude.toFixed(6)}`,
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT'
+    );
+  });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// "2026-10-19 14:05" in timeZone (the browser's when undefined)
+function formatLocalTime(timeMs, timeZone) {
+  return new Date(timeMs).toLocaleString('sv-SE', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+}
+
+// CSV with one row per hourly sample and per HIGH/LOW event, in time order.
+// Heights stay in metres so the file is unit-independent
+export function buildTideCsv(hourlyData, tides, { timeZone } = {}) {
+  const rows = [];
+
+  hourlyData.time.forEach((time, i) => {
+    const timeMs = new Date(time).getTime();
+    const height = hourlyData.sea_level_height_msl[i];
+    rows.push({ timeMs, kind: 'sample', label: '', height: height != null ? height.toFixed(3) : '' });
+  });
+
+  tides.forEach(tide => {
+    rows.push({ timeMs: tide.timeMs, kind: tide.type, label: tide.label || '', height: parseFloat(tide.height).toFixed(3) });
+  });
+
+  rows.sort((a, b) => a.timeMs - b.timeMs);
+
+  const header = 'time_utc,time_local,type,label,sea_level_m';
+  const lines = rows.map(row => [
+    new Date(row.timeMs).toISOString(),
+    formatLocalTime(row.timeMs, timeZone),
+    row.kind,
+    row.label,
+    row.height
+  ].join(','));
+
+  return [header, ...lines].join('\n') + '\n';
+}
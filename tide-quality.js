@@ -0,0 +1,192 @@
+// Data-quality report for a sea-level series and the HIGH/LOW events found in it.
+// Pure functions only (no DOM, no chrome.* APIs), like tides.js; the popup turns
+// the result into a confidence indicator and flags the events an issue affects
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Tidal range classes (Davies), by the largest rise or fall between events
+export const RANGE_CLASSES = [
+  { id: 'microtidal', label: 'Microtidal', maxRange: 2 },
+  { id: 'mesotidal', label: 'Mesotidal', maxRange: 4 },
+  { id: 'macrotidal', label: 'Macrotidal', maxRange: Infinity }
+];
+
+// Largest change of slope between consecutive samples, as a fraction of the
+// range, that still counts as a smooth curve. A pure semidiurnal tide gives
+// about 0.13; shallow-water distortion roughly doubles that
+const MAX_SMOOTH_CURVATURE = 0.4;
+
+// Events within this long of missing samples are interpolated across the gap
+const GAP_INFLUENCE_MS = 3 * HOUR_MS;
+
+// Issues are 'major' (an event may be wrong or missing) or 'minor' (the data
+// is imperfect but the events should hold). Each issue lists the timeMs of the
+// events it affects in eventTimes.
+// Returns { confidence: 'high'|'medium'|'low', range, smoothness, gaps, issues }.
+// candidates are the raw extremes before filtering, when the events were
+// extracted from the series rather than published by the provider
+export function assessTideQuality(hourlyData, tides, regime, candidates = null) {
+  const times = hourlyData.time.map(t => new Date(t).getTime());
+  const levels = hourlyData.sea_level_height_msl;
+  const issues = [];
+
+  const range = measureRange(levels, tides);
+  const smoothness = measureSmoothness(times, levels, range.metres);
+  const gaps = findDataGaps(times, levels);
+
+  if (tides.length === 0) {
+    issues.push({
+      code: 'no-tides',
+      severity: 'major',
+      message: 'No high or low tides could be found in the sea level data',
+      eventTimes: []
+    });
+  }
+
+  if (!smoothness.smooth) {
+    issues.push({
+      code: 'noisy',
+      severity: 'minor',
+      message: 'The sea level curve is irregular (surge, river flow or model noise), so tide times are less certain',
+      eventTimes: []
+    });
+  }
+
+  gaps.forEach(gap => {
+    const affected = tides
+      .filter(t => t.timeMs >= gap.startMs - GAP_INFLUENCE_MS && t.timeMs <= gap.endMs + GAP_INFLUENCE_MS)
+      .map(t => t.timeMs);
+    issues.push({
+      code: 'data-gap',
+      severity: affected.length > 0 ? 'major' : 'minor',
+      message: `${gap.missingHours}h of sea level data missing${affected.length > 0 ? '; this tide is estimated across the gap' : ''}`,
+      eventTimes: affected,
+      startMs: gap.startMs,
+      endMs: gap.endMs
+    });
+  });
+
+  if (candidates) {
+    findCompetingPeaks(candidates, tides, regime.minSeparationHours * HOUR_MS).forEach(tide => {
+      issues.push({
+        code: 'competing-peaks',
+        severity: 'minor',
+        message: `Several ${tide.type === 'HIGH' ? 'high' : 'low'} peaks close together; the most prominent was kept`,
+        eventTimes: [tide.timeMs]
+      });
+    });
+  }
+
+  for (let i = 1; i < tides.length; i++) {
+    const previous = tides[i - 1];
+    const current = tides[i];
+    const hoursApart = (current.timeMs - previous.timeMs) / HOUR_MS;
+
+    if (current.type === previous.type) {
+      issues.push({
+        code: 'non-alternating',
+        severity: 'major',
+        message: `Two ${current.type === 'HIGH' ? 'highs' : 'lows'} in a row; a tide in between is probably missing`,
+        eventTimes: [previous.timeMs, current.timeMs]
+      });
+    } else if (hoursApart < regime.minSeparationHours) {
+      issues.push({
+        code: 'close-tides',
+        severity: 'major',
+        message: `Only ${hoursApart.toFixed(1)}h after the previous tide, unusually close for ${regime.label.toLowerCase()} tides`,
+        eventTimes: [previous.timeMs, current.timeMs]
+      });
+    } else if (hoursApart > regime.maxGapHours) {
+      issues.push({
+        code: 'long-interval',
+        severity: 'major',
+        message: `${hoursApart.toFixed(1)}h since the previous tide; a tide in between may be missing`,
+        eventTimes: [previous.timeMs, current.timeMs]
+      });
+    }
+  }
+
+  let confidence = 'high';
+  if (issues.some(issue => issue.severity === 'major')) {
+    confidence = 'low';
+  } else if (issues.length > 0) {
+    confidence = 'medium';
+  }
+
+  return { confidence, range, smoothness, gaps, issues };
+}
+
+// Issues that affect a particular event
+export function getEventIssues(quality, tide) {
+  if (!quality || !tide) return [];
+  return quality.issues.filter(issue => issue.eventTimes.includes(tide.timeMs));
+}
+
+// { metres, rangeClass }: the largest rise or fall between consecutive events,
+// or the spread of the whole series when there are no events to compare
+function measureRange(levels, tides) {
+  let metres = 0;
+  for (let i = 1; i < tides.length; i++) {
+    if (tides[i].type === tides[i - 1].type) continue;
+    metres = Math.max(metres, Math.abs(parseFloat(tides[i].height) - parseFloat(tides[i - 1].height)));
+  }
+
+  if (metres === 0) {
+    const validLevels = levels.filter(v => v != null);
+    metres = validLevels.length > 0 ? Math.max(...validLevels) - Math.min(...validLevels) : 0;
+  }
+
+  return { metres, rangeClass: RANGE_CLASSES.find(c => metres < c.maxRange) };
+}
+
+// { maxChange (metres per hour), curvature (fraction of the range), smooth }
+// from consecutive valid samples one step apart
+function measureSmoothness(times, levels, range) {
+  const step = times.length > 1 ? times[1] - times[0] : HOUR_MS;
+  let maxChange = 0;
+  let maxSecondDifference = 0;
+
+  for (let i = 1; i < levels.length; i++) {
+    if (levels[i] == null || levels[i - 1] == null || times[i] - times[i - 1] !== step) continue;
+    maxChange = Math.max(maxChange, Math.abs(levels[i] - levels[i - 1]) / (step / HOUR_MS));
+
+    if (i < 2 || levels[i - 2] == null || times[i - 1] - times[i - 2] !== step) continue;
+    maxSecondDifference = Math.max(maxSecondDifference, Math.abs(levels[i] - 2 * levels[i - 1] + levels[i - 2]));
+  }
+
+  const curvature = range > 0 ? maxSecondDifference / range : 0;
+  return { maxChange, curvature, smooth: curvature <= MAX_SMOOTH_CURVATURE };
+}
+
+// Spans with no usable sample: runs of nulls, or timestamps missing from the
+// series. Each gap runs from the last sample before it to the first one after,
+// with the number of hours of samples missing in between
+function findDataGaps(times, levels) {
+  const step = times.length > 1 ? times[1] - times[0] : HOUR_MS;
+  const gaps = [];
+  let previous = -1;
+
+  for (let i = 0; i < levels.length; i++) {
+    if (levels[i] == null) continue;
+    if (previous !== -1 && times[i] - times[previous] > step * 1.5) {
+      gaps.push({
+        startMs: times[previous],
+        endMs: times[i],
+        missingHours: Math.round((times[i] - times[previous] - step) / HOUR_MS)
+      });
+    }
+    previous = i;
+  }
+
+  return gaps;
+}
+
+// Kept events with a discarded candidate of the same type close by (a double
+// high water, or a noisy top or bottom), which makes their timing less certain
+function findCompetingPeaks(candidates, tides, separationMs) {
+  const keptTimes = new Set(tides.map(t => t.timeMs));
+
+  return tides.filter(tide => candidates.some(c =>
+    c.type === tide.type && !keptTimes.has(c.timeMs) && Math.abs(c.timeMs - tide.timeMs) < separationMs
+  ));
+}
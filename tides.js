@@ -0,0 +1,544 @@
+// Tide extraction shared by the popup and the background service worker.
+// Pure functions only (no DOM, no chrome.* APIs), so the module can be loaded
+// and exercised directly in Node; anything time-dependent takes an explicit "now"
+import { fitLeastSquares } from './least-squares.js';
+import { findSplineExtremes, interpolateSeries } from './spline.js';
+import { assessTideQuality } from './tide-quality.js';
+
+// Tidal physics constants
+export const TIDAL_CONSTANTS = {
+  MIN_TIDE_SEPARATION_HOURS: 4.5,  // Minimum hours between tides (conservative estimate)
+  MIN_TIDE_SEPARATION_MS: 4.5 * 60 * 60 * 1000,  // In milliseconds
+  // Within this long of a HIGH or LOW the water is treated as slack
+  SLACK_WINDOW_MS: 30 * 60 * 1000
+};
+
+// How HIGH/LOW candidates are located between hourly samples: a 3-point
+// parabola per sampled extreme, or a cubic spline through the whole series
+// (which also reports a timing uncertainty per event)
+export const EXTRACTION_METHODS = [
+  { id: 'parabolic', name: 'Parabolic (3-point)' },
+  { id: 'spline', name: 'Cubic spline, with uncertainty' }
+];
+
+// Tide regimes by form factor F = diurnal amplitude / semidiurnal amplitude.
+// Mixed and diurnal coasts get a shorter minimum separation (lower-high /
+// higher-low pairs can sit close together) and drop HIGH/LOW pairs whose range
+// is a small fraction of the overall range instead of tie-breaking on prominence
+export const TIDE_REGIMES = {
+  SEMIDIURNAL: {
+    id: 'semidiurnal',
+    label: 'Semidiurnal',
+    maxFormFactor: 0.25,
+    minSeparationHours: 4.5,
+    minRangeFraction: 0,
+    maxGapHours: 13
+  },
+  MIXED_SEMIDIURNAL: {
+    id: 'mixed-semidiurnal',
+    label: 'Mixed, mainly semidiurnal',
+    maxFormFactor: 1.5,
+    minSeparationHours: 2.5,
+    minRangeFraction: 0.03,
+    maxGapHours: 16
+  },
+  MIXED_DIURNAL: {
+    id: 'mixed-diurnal',
+    label: 'Mixed, mainly diurnal',
+    maxFormFactor: 3,
+    minSeparationHours: 2.5,
+    minRangeFraction: 0.06,
+    maxGapHours: 26
+  },
+  DIURNAL: {
+    id: 'diurnal',
+    label: 'Diurnal',
+    maxFormFactor: Infinity,
+    minSeparationHours: 8,
+    minRangeFraction: 0.1,
+    maxGapHours: 26
+  }
+};
+
+// Periods (hours) of the diurnal and semidiurnal bands used for classification.
+// A couple of days of data can't separate K1 from O1 or M2 from S2, so each band
+// is fitted as a single sinusoid
+const DIURNAL_BAND_HOURS = 24.84;
+const SEMIDIURNAL_BAND_HOURS = 12.42;
+
+// Function to find precise high/low tides using quadratic interpolation
+export function getPreciseTides(hourlyData) {
+  return analyzeTides(hourlyData).tides;
+}
+
+// Events, regime and data-quality report (see tide-quality.js) for a normalized
+// provider forecast: the provider's own HIGH/LOW events when it has them, otherwise
+// the ones found in the hourly series.
+// options.method picks an EXTRACTION_METHODS entry (parabolic by default)
+export function analyzeForecast(forecast, options = {}) {
+  if (!forecast.tides) {
+    return analyzeTides(forecast.hourly, options);
+  }
+
+  const regime = classifyTideRegime(forecast.hourly);
+  const tides = labelTideEvents(forecast.tides, regime);
+  return {
+    tides: tides,
+    regime: regime,
+    quality: assessTideQuality(forecast.hourly, tides, regime)
+  };
+}
+
+// Find HIGH/LOW events with thresholds adapted to the tide regime of the series
+export function analyzeTides(hourlyData, options = {}) {
+  const seaLevels = hourlyData.sea_level_height_msl;
+
+  // STEP 1: Find all potential peaks/troughs between the hourly samples
+  const candidates = options.method === 'spline'
+    ? findSplineExtremes(hourlyData)
+    : findParabolicExtremes(hourlyData);
+
+  const regime = classifyTideRegime(hourlyData);
+
+  // STEP 2: Filter candidates using the regime's minimum time separation
+  const filteredTides = filterByTimeSeparation(candidates, regime.minSeparationHours * 60 * 60 * 1000);
+
+  // STEP 3: Post-process to ensure alternation (safety net)
+  const alternatingTides = enforceAlternation(filteredTides, hourlyData);
+
+  // STEP 4: Drop HIGH/LOW pairs too small to be real tides for this regime
+  const validLevels = seaLevels.filter(v => v != null);
+  const range = validLevels.length > 0 ? Math.max(...validLevels) - Math.min(...validLevels) : 0;
+  const validatedTides = labelTideEvents(pruneSmallOscillations(alternatingTides, regime.minRangeFraction * range), regime);
+
+  // STEP 5: Report on the data and the final events
+  const quality = assessTideQuality(hourlyData, validatedTides, regime, candidates);
+
+  return { tides: validatedTides, regime, quality };
+}
+
+// Candidates from a parabola through each sampled peak/trough and its neighbours
+function findParabolicExtremes(hourlyData) {
+  const seaLevels = hourlyData.sea_level_height_msl;
+  const times = hourlyData.time;
+  const candidates = [];
+
+  for (let i = 1; i < seaLevels.length - 1; i++) {
+    const y1 = seaLevels[i - 1]; // Previous hour
+    const y2 = seaLevels[i];     // Current hour (The peak candidate)
+    const y3 = seaLevels[i + 1]; // Next hour
+
+    // Skip null/undefined values
+    if (y1 == null || y2 == null || y3 == null) continue;
+
+    // Flat-topped or flat-bottomed extremes: the same value repeated over
+    // several hours never satisfies the strict 3-point test below
+    if (y2 === y3 && y2 !== y1) {
+      const plateau = findPlateauExtreme(seaLevels, times, i);
+      if (plateau) {
+        candidates.push(plateau.candidate);
+        i = plateau.endIndex;
+      }
+      continue;
+    }
+
+    // 1. Identify a Peak (High Tide) or Trough (Low Tide)
+    const isHigh = y2 > y1 && y2 > y3;
+    const isLow = y2 < y1 && y2 < y3;
+
+    if (isHigh || isLow) {
+      // Calculate prominence (how strong this peak is)
+      const prominence = Math.abs(y2 - ((y1 + y3) / 2));
+
+      // 2. Apply Quadratic Interpolation to find the exact peak offset
+      // Formula: offset = (y1 - y3) / (2 * (y1 - 2*y2 + y3))
+      // This gives us the fraction of an hour (-0.5 to +0.5) where the true peak lies
+      const divisor = 2 * (y1 - 2 * y2 + y3);
+      let offset = 0;
+
+      if (divisor !== 0) {
+        offset = (y1 - y3) / divisor;
+      }
+
+      // 3. Calculate the exact time
+      // The 'time' array is usually ISO strings. We treat 'i' as the hour index.
+      const baseTime = new Date(times[i]).getTime();
+      const offsetMilliseconds = offset * 60 * 60 * 1000; // Convert fraction of hour to ms
+      const preciseTime = new Date(baseTime + offsetMilliseconds);
+
+      // 4. Calculate precise height (optional, fits parabola to peak)
+      // Height = y2 - 0.25 * (y1 - y3) * offset
+      const preciseHeight = y2 - 0.25 * (y1 - y3) * offset;
+
+      candidates.push({
+        type: isHigh ? 'HIGH' : 'LOW',
+        time: preciseTime.toISOString(), // Precise minute!
+        timeMs: preciseTime.getTime(),
+        height: preciseHeight.toFixed(2),
+        prominence: prominence,
+        index: i
+      });
+    }
+  }
+
+  return candidates;
+}
+
+// Classify the tide regime by fitting one diurnal and one semidiurnal sinusoid
+// to the series. Returns a TIDE_REGIMES entry plus the estimated formFactor
+// (null when the series is too short to tell, which falls back to semidiurnal)
+export function classifyTideRegime(hourlyData) {
+  const samples = [];
+  const startMs = new Date(hourlyData.time[0]).getTime();
+
+  hourlyData.sea_level_height_msl.forEach((height, i) => {
+    if (height == null) return;
+    samples.push({ hours: (new Date(hourlyData.time[i]).getTime() - startMs) / (60 * 60 * 1000), height });
+  });
+
+  // Need at least a full diurnal cycle for the fit to mean anything
+  const spanHours = samples.length > 1 ? samples[samples.length - 1].hours - samples[0].hours : 0;
+  if (spanHours < DIURNAL_BAND_HOURS) {
+    return { ...TIDE_REGIMES.SEMIDIURNAL, formFactor: null };
+  }
+
+  const w1 = 2 * Math.PI / DIURNAL_BAND_HOURS;
+  const w2 = 2 * Math.PI / SEMIDIURNAL_BAND_HOURS;
+  const rows = samples.map(s => [1, Math.cos(w1 * s.hours), Math.sin(w1 * s.hours), Math.cos(w2 * s.hours), Math.sin(w2 * s.hours)]);
+  const coefficients = fitLeastSquares(rows, samples.map(s => s.height));
+
+  if (!coefficients) {
+    return { ...TIDE_REGIMES.SEMIDIURNAL, formFactor: null };
+  }
+
+  const diurnalAmplitude = Math.hypot(coefficients[1], coefficients[2]);
+  const semidiurnalAmplitude = Math.hypot(coefficients[3], coefficients[4]);
+  const formFactor = semidiurnalAmplitude > 0 ? diurnalAmplitude / semidiurnalAmplitude : Infinity;
+
+  const regime = Object.values(TIDE_REGIMES).find(r => formFactor < r.maxFormFactor) || TIDE_REGIMES.DIURNAL;
+  return { ...regime, formFactor };
+}
+
+// Helper function: Repeatedly remove the adjacent HIGH/LOW pair with the smallest
+// height difference while it is below minRange. Removing pairs (or a single event
+// at either end) keeps the sequence alternating
+export function pruneSmallOscillations(tides, minRange) {
+  const pruned = [...tides];
+  if (minRange <= 0) return pruned;
+
+  while (pruned.length > 1) {
+    let smallest = -1;
+    let smallestRange = Infinity;
+
+    for (let i = 0; i < pruned.length - 1; i++) {
+      if (pruned[i].type === pruned[i + 1].type) continue;
+      const range = Math.abs(parseFloat(pruned[i].height) - parseFloat(pruned[i + 1].height));
+      if (range < smallestRange) {
+        smallestRange = range;
+        smallest = i;
+      }
+    }
+
+    if (smallest === -1 || smallestRange >= minRange) break;
+
+    if (smallest === 0) {
+      pruned.splice(0, 1);
+    } else if (smallest + 1 === pruned.length - 1) {
+      pruned.splice(smallest + 1, 1);
+    } else {
+      pruned.splice(smallest, 2);
+    }
+  }
+
+  return pruned;
+}
+
+// A semidiurnal event is only labelled higher or lower when it differs from its
+// same-type neighbours by more than this fraction of the range, and by more than
+// the centimetre rounding of the heights, so equal highs aren't split by noise
+const MIN_LABEL_INEQUALITY_FRACTION = 0.05;
+const MIN_LABEL_INEQUALITY_METRES = 0.02;
+
+// Label each event as higher/lower high or low by comparing it with the
+// neighbouring events of the same type (the previous and next HIGH for a HIGH).
+// A diurnal tide's single daily high and low are the higher high and lower low.
+// Semidiurnal events with no clear inequality get a null label
+export function labelTideEvents(tides, regime = TIDE_REGIMES.SEMIDIURNAL) {
+  if (regime.id === TIDE_REGIMES.DIURNAL.id) {
+    return tides.map(tide => ({ ...tide, label: tide.type === 'HIGH' ? 'higher-high' : 'lower-low' }));
+  }
+
+  let minInequality = 0;
+  if (regime.id === TIDE_REGIMES.SEMIDIURNAL.id && tides.length > 0) {
+    const heights = tides.map(t => parseFloat(t.height));
+    const range = Math.max(...heights) - Math.min(...heights);
+    minInequality = Math.max(range * MIN_LABEL_INEQUALITY_FRACTION, MIN_LABEL_INEQUALITY_METRES);
+  }
+
+  return tides.map((tide, i) => {
+    const neighbours = [];
+    for (let j = i - 1; j >= 0; j--) {
+      if (tides[j].type === tide.type) {
+        neighbours.push(parseFloat(tides[j].height));
+        break;
+      }
+    }
+    for (let j = i + 1; j < tides.length; j++) {
+      if (tides[j].type === tide.type) {
+        neighbours.push(parseFloat(tides[j].height));
+        break;
+      }
+    }
+
+    const height = parseFloat(tide.height);
+    const neighbourAverage = neighbours.length > 0
+      ? neighbours.reduce((sum, h) => sum + h, 0) / neighbours.length
+      : height;
+    const isHigher = height >= neighbourAverage;
+
+    let label;
+    if (neighbours.length === 0 || Math.abs(height - neighbourAverage) <= minInequality) {
+      label = null;
+    } else if (tide.type === 'HIGH') {
+      label = isHigher ? 'higher-high' : 'lower-high';
+    } else {
+      label = isHigher ? 'higher-low' : 'lower-low';
+    }
+
+    return { ...tide, label };
+  });
+}
+
+// Human-readable text for an event label, e.g. "Higher high"
+export function formatTideLabel(label) {
+  if (!label) return '';
+  const text = label.replace('-', ' ');
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+// Helper function: Turn a run of equal samples starting at index start into a
+// HIGH/LOW candidate at the middle of the run, if the run is a local extreme
+function findPlateauExtreme(seaLevels, times, start) {
+  const value = seaLevels[start];
+  let end = start + 1;
+  while (end + 1 < seaLevels.length && seaLevels[end + 1] === value) {
+    end++;
+  }
+
+  const before = seaLevels[start - 1];
+  const after = seaLevels[end + 1];
+  if (after == null) return null;
+
+  const isHigh = value > before && value > after;
+  const isLow = value < before && value < after;
+  if (!isHigh && !isLow) return null;
+
+  const startMs = new Date(times[start]).getTime();
+  const endMs = new Date(times[end]).getTime();
+  const middle = new Date((startMs + endMs) / 2);
+
+  return {
+    candidate: {
+      type: isHigh ? 'HIGH' : 'LOW',
+      time: middle.toISOString(),
+      timeMs: middle.getTime(),
+      height: value.toFixed(2),
+      prominence: Math.abs(value - ((before + after) / 2)),
+      index: Math.round((start + end) / 2)
+    },
+    endIndex: end
+  };
+}
+
+// Helper function: Filter tides by minimum time separation
+export function filterByTimeSeparation(candidates, minSeparationMs = TIDAL_CONSTANTS.MIN_TIDE_SEPARATION_MS) {
+  if (candidates.length === 0) return [];
+
+  const filtered = [candidates[0]]; // Always include first candidate
+
+  for (let i = 1; i < candidates.length; i++) {
+    const current = candidates[i];
+    const last = filtered[filtered.length - 1];
+
+    const timeDiff = current.timeMs - last.timeMs;
+
+    // Check if enough time has passed since last tide
+    if (timeDiff >= minSeparationMs) {
+      filtered.push(current);
+    } else {
+      // If within minimum separation, keep the more prominent peak
+      if (current.prominence > last.prominence) {
+        filtered[filtered.length - 1] = current;
+      }
+    }
+  }
+
+  return filtered;
+}
+
+// Helper function: Ensure tides alternate HIGH-LOW-HIGH-LOW. Same-type tides
+// with missing samples between them (null values or absent timestamps in
+// hourlyData) are both kept: the extreme between them fell in the gap
+export function enforceAlternation(tides, hourlyData = null) {
+  if (tides.length < 2) return tides;
+
+  const validated = [tides[0]];
+
+  for (let i = 1; i < tides.length; i++) {
+    const current = tides[i];
+    const last = validated[validated.length - 1];
+
+    // Check if current tide alternates with last validated tide
+    if (current.type !== last.type || hasGapBetween(hourlyData, last.index, current.index)) {
+      validated.push(current);
+    } else {
+      // Consecutive same-type tides (should be rare after time filtering):
+      // keep the one with greater prominence
+      if (current.prominence > last.prominence) {
+        validated[validated.length - 1] = current;
+      }
+    }
+  }
+
+  return validated;
+}
+
+// Whether the hourly series has a null value or a missing timestamp between two sample indices
+function hasGapBetween(hourlyData, startIndex, endIndex) {
+  if (!hourlyData || startIndex < 0 || endIndex < 0) return false;
+
+  const { time, sea_level_height_msl: seaLevels } = hourlyData;
+  const step = new Date(time[1]).getTime() - new Date(time[0]).getTime();
+
+  for (let i = startIndex; i < endIndex; i++) {
+    if (seaLevels[i + 1] == null) return true;
+    if (new Date(time[i + 1]).getTime() - new Date(time[i]).getTime() > step * 1.5) return true;
+  }
+  return false;
+}
+
+// Build a tide event in the getPreciseTides() format from a ready-made extreme
+// (e.g. a provider's published HIGH/LOW prediction)
+export function createTideEvent(type, timeMs, height) {
+  const time = new Date(timeMs);
+  return {
+    type: type,
+    time: time.toISOString(),
+    timeMs: time.getTime(),
+    height: height.toFixed(2),
+    prominence: null,
+    index: -1
+  };
+}
+
+// Find the next HIGH, next LOW and most recent tide relative to a point in time
+export function getNextTides(tides, now) {
+  const nextHigh = tides.find(t => t.type === 'HIGH' && new Date(t.time) > now) || null;
+  const nextLow = tides.find(t => t.type === 'LOW' && new Date(t.time) > now) || null;
+
+  const pastTides = tides.filter(t => new Date(t.time) <= now);
+  const lastTide = pastTides.length > 0 ? pastTides[pastTides.length - 1] : null;
+
+  return { nextHigh, nextLow, lastTide };
+}
+
+// Sea level at the current minute: { height, rate (metres per hour), state, slackTide }.
+// state is 'slack' within TIDAL_CONSTANTS.SLACK_WINDOW_MS of a HIGH/LOW (slackTide
+// is that event), otherwise 'rising' or 'falling'. Null when now is outside the data
+export function getCurrentLevel(hourlyData, tides, now) {
+  const nowMs = now.getTime();
+  const level = interpolateSeries(hourlyData, nowMs);
+  if (!level) return null;
+
+  const slackTide = tides.find(t => Math.abs(t.timeMs - nowMs) <= TIDAL_CONSTANTS.SLACK_WINDOW_MS) || null;
+
+  let state;
+  if (slackTide) {
+    state = 'slack';
+  } else {
+    state = level.rate > 0 ? 'rising' : 'falling';
+  }
+
+  return { height: level.height, rate: level.rate, state, slackTide };
+}
+
+// Share of the range covered after each sixth of a rise or fall (rule of twelfths:
+// 1, 2, 3, 3, 2, 1 twelfths per sixth)
+const TWELFTHS = [1, 2, 3, 3, 2, 1];
+
+function twelfthsFraction(progress) {
+  const clamped = Math.min(Math.max(progress, 0), 1);
+  const sixth = Math.min(Math.floor(clamped * 6), 5);
+  const before = TWELFTHS.slice(0, sixth).reduce((sum, n) => sum + n, 0);
+  return (before + TWELFTHS[sixth] * (clamped * 6 - sixth)) / 12;
+}
+
+// State of tide between the last extreme and the next one of the opposite type:
+// { from, to, direction ('flood' | 'ebb'), fraction of the range covered,
+//   elapsedMs, remainingMs, nextHourChange (metres, rule of twelfths) }.
+// currentHeight (e.g. from getCurrentLevel()) gives the fraction covered; without
+// it the rule of twelfths estimates it. Null when either extreme is missing
+export function getTideState(tides, now, currentHeight = null) {
+  const nowMs = now.getTime();
+  const past = tides.filter(t => t.timeMs <= nowMs);
+  const from = past.length > 0 ? past[past.length - 1] : null;
+  if (!from) return null;
+
+  const to = tides.find(t => t.timeMs > nowMs && t.type !== from.type);
+  if (!to) return null;
+
+  const fromHeight = parseFloat(from.height);
+  const range = parseFloat(to.height) - fromHeight;
+  const durationMs = to.timeMs - from.timeMs;
+  const elapsedMs = nowMs - from.timeMs;
+  const progress = elapsedMs / durationMs;
+
+  const fraction = currentHeight != null && range !== 0
+    ? Math.min(Math.max((currentHeight - fromHeight) / range, 0), 1)
+    : twelfthsFraction(progress);
+
+  const nextHourProgress = (elapsedMs + 60 * 60 * 1000) / durationMs;
+  const nextHourChange = range * (twelfthsFraction(nextHourProgress) - twelfthsFraction(progress));
+
+  return {
+    from,
+    to,
+    direction: to.type === 'HIGH' ? 'flood' : 'ebb',
+    fraction,
+    elapsedMs,
+    remainingMs: to.timeMs - nowMs,
+    nextHourChange
+  };
+}
+
+export function getTimeUntil(futureTime, now = new Date()) {
+  const diff = futureTime - now;
+
+  if (diff < 0) return 'Now';
+
+  const hours = Math.floor(diff / (1000 * 60 * 60));
+  const minutes = Math.floor((diff % (1000 * 60 * 60)) / (1000 * 60));
+
+  if (hours === 0) {
+    return `in ${minutes} min`;
+  } else if (hours === 1) {
+    return `in 1 hour ${minutes} min`;
+  } else {
+    return `in ${hours} hours ${minutes} min`;
+  }
+}
+
+export function getTimeAgo(pastTime, now = Date.now()) {
+  const diff = now - pastTime;
+  const hours = Math.floor(diff / (1000 * 60 * 60));
+
+  if (hours < 1) {
+    return 'less than an hour ago';
+  } else if (hours === 1) {
+    return '1 hour ago';
+  } else if (hours < 48) {
+    return `${hours} hours ago`;
+  } else {
+    return `${Math.floor(hours / 24)} days ago`;
+  }
+}
@@ -0,0 +1,56 @@
+// Time formatting for tide events, in the selected location's timezone or the browser's
+
+// Build a formatter for a display timezone. timeZone is an IANA name, or
+// undefined for the browser's own timezone; locale and hour12 follow the
+// browser's preferences unless given
+export function createTimeFormatter({ timeZone, locale, hour12 } = {}) {
+  const base = { timeZone: timeZone };
+  if (hour12 !== undefined) {
+    base.hour12 = hour12;
+  }
+
+  return {
+    timeZone: timeZone,
+
+    // e.g. "02:36 PM" / "14:36", optionally with a short zone name
+    time(date, { withZone = false } = {}) {
+      return date.toLocaleTimeString(locale, {
+        ...base,
+        hour: '2-digit',
+        minute: '2-digit',
+        ...(withZone ? { timeZoneName: 'short' } : {})
+      });
+    },
+
+    // e.g. "Tue, Jun 4"
+    day(date) {
+      return date.toLocaleDateString(locale, { ...base, weekday: 'short', month: 'short', day: 'numeric' });
+    },
+
+    // e.g. "Tue"
+    weekday(date) {
+      return date.toLocaleDateString(locale, { ...base, weekday: 'short' });
+    },
+
+    // e.g. "Tue 02:36 PM"
+    weekdayTime(date) {
+      return date.toLocaleString(locale, { ...base, weekday: 'short', hour: '2-digit', minute: '2-digit' });
+    },
+
+    // Calendar day in the display timezone, for grouping ("2024-06-04")
+    dayKey(date) {
+      return date.toLocaleDateString('en-CA', { timeZone: timeZone });
+    }
+  };
+}
+
+// Check that a timezone name is one Intl understands
+export function isValidTimeZone(timeZone) {
+  if (!timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
@@ -0,0 +1,31 @@
+// Height unit conversion and formatting. Heights are stored and computed in metres
+
+const METRES_TO_FEET = 3.28084;
+
+export function convertHeight(metres, unit) {
+  return unit === 'ft' ? metres * METRES_TO_FEET : metres;
+}
+
+// Temperatures follow the height unit: feet goes with °F
+export function convertTemperature(celsius, unit) {
+  return unit === 'ft' ? celsius * 9 / 5 + 32 : celsius;
+}
+
+// Sea temperature, e.g. "14.5 °C" / "58 °F"
+export function formatTemperature(celsius, unit) {
+  return unit === 'ft' ? `${convertTemperature(celsius, unit).toFixed(0)} °F` : `${celsius.toFixed(1)} °C`;
+}
+
+// Rate of change, e.g. "+12 cm/h" / "+4.7 in/h"
+export function formatRate(metresPerHour, unit) {
+  const value = unit === 'ft' ? metresPerHour * METRES_TO_FEET * 12 : metresPerHour * 100;
+  const digits = unit === 'ft' ? 1 : 0;
+  const text = Math.abs(value).toFixed(digits);
+  const sign = parseFloat(text) === 0 ? '' : value > 0 ? '+' : '−';
+  return `${sign}${text} ${unit === 'ft' ? 'in/h' : 'cm/h'}`;
+}
+
+// e.g. "1.23 m" / "4.04 ft"; accepts numbers or the toFixed() strings used in tide events
+export function formatHeight(metres, unit, digits = 2) {
+  return `${convertHeight(parseFloat(metres), unit).toFixed(digits)} ${unit === 'ft' ? 'ft' : 'm'}`;
+}